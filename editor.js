@@ -8,19 +8,53 @@ const CANVAS_SIZE = 640;
 const Tile = {
     FLOOR: 0,
     WALL: 1,
-    VOID: 2
+    VOID: 2,
+    DOOR_CLOSED: 3,
+    DOOR_OPEN: 4,
+    PLATE: 5,
+    CRACKED_WALL: 6
+};
+
+const GuardType = {
+    NORMAL: 'normal',
+    RUNNER: 'runner',
+    DEAF: 'deaf',
+    BRAVE: 'brave',
+    SLEEPER: 'sleeper'
 };
 
 // Editor-specific constants
 const EditorTool = {
     FLOOR: 'floor',
     WALL: 'wall',
+    CRACKED_WALL: 'cracked',
     VOID: 'void',
+    DOOR: 'door',
+    PLATE: 'plate',
+    LINK: 'link',
     GUARD: 'guard',
     TARGET: 'target',
+    CRATE: 'crate',
+    PATROL: 'patrol',
+    ZONE: 'zone',
+    ALARM: 'alarm',
     ERASE: 'erase'
 };
 
+// Facing names for the guards list, by index into the game's DIRECTIONS (N, E, S, W)
+const FACING_NAMES = ['N', 'E', 'S', 'W'];
+const FACING_VECTORS = [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }];
+
+const PatrolMode = {
+    LOOP: 'loop',
+    PING_PONG: 'pingpong'
+};
+
+// Entity lists are built as markup from values that may come from imported level JSON
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
 class Vec {
     constructor(x = 0, y = 0) {
         this.x = x;
@@ -54,8 +88,15 @@ class LevelEditor {
         this.grid = [];
         this.guards = [];
         this.targets = [];
+        this.crates = [];
         this.guardIdCounter = 0;
         this.targetIdCounter = 0;
+        this.patrolGuardId = null; // Guard whose patrol route the patrol tool extends
+        this.links = []; // [{plate: {x, y}, doors: [{x, y}]}], same shape as the level JSON
+        this.linkPlate = null; // Plate the link tool is connecting doors to
+        this.keepOutZone = null; // {x, y, w, h} for the keepGuardsOut win condition
+        this.zoneAnchor = null; // Corner the zone tool drags from
+        this.alarmTiles = []; // [{x, y}] for the guardReaches fail condition
         
         this.initializeGrid();
         this.setupEventListeners();
@@ -75,8 +116,14 @@ class LevelEditor {
         // Clear entities when grid changes
         this.guards = [];
         this.targets = [];
+        this.crates = [];
         this.guardIdCounter = 0;
         this.targetIdCounter = 0;
+        this.patrolGuardId = null;
+        this.links = [];
+        this.linkPlate = null;
+        this.keepOutZone = null;
+        this.alarmTiles = [];
         this.updateEntityLists();
     }
 
@@ -97,6 +144,16 @@ class LevelEditor {
             });
         });
         
+        // Patrol mode applies to the guard whose route is being drawn
+        document.getElementById('patrolMode').addEventListener('change', (e) => {
+            const guard = this.guards.find(g => g.id === this.patrolGuardId);
+            if (guard && guard.patrol) {
+                guard.patrol.mode = e.target.value;
+                this.updateEntityLists();
+                this.render();
+            }
+        });
+        
         // Grid size change
         document.getElementById('gridSize').addEventListener('change', (e) => {
             this.gridSize = parseInt(e.target.value);
@@ -108,8 +165,12 @@ class LevelEditor {
     }
 
     setupConfigListeners() {
-        const configFields = ['levelId', 'levelName', 'timersAllowed', 'blastRange', 
-                             'maxActiveBombs', 'maxBombsPerTurn', 'defaultHearingRadius'];
+        const configFields = ['levelId', 'levelName', 'timersAllowed', 'chainReactions', 'blastRange', 
+                             'blastShape', 'maxActiveBombs', 'maxBombsPerTurn', 'defaultHearingRadius',
+                             'shapedCharges', 'smokeCharges', 'flashbangCharges',
+                             'noisemakers', 'noisemakerLevel', 'noisemakerTurns', 'sightRange', 'sightResponse', 'radioRadius',
+                             'investigatePoints', 'searchRadius', 'returnToPost',
+                             'winDestroyAll', 'winByTurn', 'failNoGuardDeaths', 'failTurnLimit', 'failBombBudget'];
         
         configFields.forEach(fieldId => {
             const element = document.getElementById(fieldId);
@@ -141,6 +202,7 @@ class LevelEditor {
         this.isDragging = true;
         const pos = this.getGridPos(e.clientX, e.clientY);
         this.lastPaintPos = pos;
+        this.zoneAnchor = pos;
         this.paint(pos);
     }
 
@@ -191,18 +253,45 @@ class LevelEditor {
                 this.grid[pos.y][pos.x] = Tile.WALL;
                 this.removeEntitiesAt(pos);
                 break;
+            case EditorTool.CRACKED_WALL:
+                this.grid[pos.y][pos.x] = Tile.CRACKED_WALL;
+                this.removeEntitiesAt(pos);
+                break;
             case EditorTool.VOID:
                 this.grid[pos.y][pos.x] = Tile.VOID;
                 this.removeEntitiesAt(pos);
                 break;
+            case EditorTool.DOOR:
+                // Painting over an existing door flips its starting state and keeps its links
+                if (this.isDoor(pos)) {
+                    this.grid[pos.y][pos.x] = this.grid[pos.y][pos.x] === Tile.DOOR_OPEN ? Tile.DOOR_CLOSED : Tile.DOOR_OPEN;
+                } else {
+                    this.grid[pos.y][pos.x] = Tile.DOOR_CLOSED;
+                    this.removeEntitiesAt(pos);
+                }
+                break;
+            case EditorTool.PLATE:
+                if (this.grid[pos.y][pos.x] !== Tile.PLATE) {
+                    this.grid[pos.y][pos.x] = Tile.PLATE;
+                    this.removeEntitiesAt(pos);
+                }
+                break;
+            case EditorTool.LINK:
+                this.paintLink(pos);
+                break;
             case EditorTool.GUARD:
                 if (this.grid[pos.y][pos.x] === Tile.FLOOR) {
                     this.removeGuardAt(pos);
+                    this.removeCrateAt(pos);
                     this.guards.push({
                         id: this.guardIdCounter++,
                         x: pos.x,
                         y: pos.y,
-                        hearingRadius: parseInt(document.getElementById('defaultHearingRadius').value)
+                        hearingRadius: parseInt(document.getElementById('defaultHearingRadius').value),
+                        type: document.getElementById('guardType').value,
+                        facing: document.getElementById('guardFacing').value === '' ?
+                            null : parseInt(document.getElementById('guardFacing').value),
+                        hasRadio: document.getElementById('guardRadio').checked
                     });
                     this.updateEntityLists();
                 }
@@ -210,14 +299,40 @@ class LevelEditor {
             case EditorTool.TARGET:
                 if (this.grid[pos.y][pos.x] === Tile.FLOOR) {
                     this.removeTargetAt(pos);
+                    this.removeCrateAt(pos);
                     this.targets.push({
                         id: this.targetIdCounter++,
                         x: pos.x,
-                        y: pos.y
+                        y: pos.y,
+                        hp: 1,
+                        group: '',
+                        order: 0
                     });
                     this.updateEntityLists();
                 }
                 break;
+            case EditorTool.CRATE:
+                if (this.grid[pos.y][pos.x] === Tile.FLOOR) {
+                    this.removeEntitiesAt(pos);
+                    this.crates.push({ x: pos.x, y: pos.y });
+                }
+                break;
+            case EditorTool.PATROL:
+                this.paintPatrol(pos);
+                break;
+            case EditorTool.ZONE:
+                // Dragging spans the zone from the tile the drag started on
+                this.keepOutZone = {
+                    x: Math.min(this.zoneAnchor.x, pos.x),
+                    y: Math.min(this.zoneAnchor.y, pos.y),
+                    w: Math.abs(this.zoneAnchor.x - pos.x) + 1,
+                    h: Math.abs(this.zoneAnchor.y - pos.y) + 1
+                };
+                this.updateEntityLists();
+                break;
+            case EditorTool.ALARM:
+                this.toggleAlarmTile(pos);
+                break;
             case EditorTool.ERASE:
                 this.removeEntitiesAt(pos);
                 break;
@@ -226,10 +341,119 @@ class LevelEditor {
         this.render();
     }
 
+    isDoor(pos) {
+        const tile = this.grid[pos.y][pos.x];
+        return tile === Tile.DOOR_CLOSED || tile === Tile.DOOR_OPEN;
+    }
+
+    // Clicking a plate selects it; clicking a door then links or unlinks it from that plate
+    paintLink(pos) {
+        if (this.grid[pos.y][pos.x] === Tile.PLATE) {
+            this.linkPlate = { x: pos.x, y: pos.y };
+            this.updateEntityLists();
+            return;
+        }
+        if (!this.linkPlate || !this.isDoor(pos)) return;
+        
+        let link = this.links.find(l => l.plate.x === this.linkPlate.x && l.plate.y === this.linkPlate.y);
+        if (!link) {
+            link = { plate: { ...this.linkPlate }, doors: [] };
+            this.links.push(link);
+        }
+        const index = link.doors.findIndex(door => door.x === pos.x && door.y === pos.y);
+        if (index !== -1) {
+            link.doors.splice(index, 1);
+        } else {
+            link.doors.push({ x: pos.x, y: pos.y });
+        }
+        this.links = this.links.filter(l => l.doors.length > 0);
+        this.updateEntityLists();
+    }
+
+    // Clicking a guard selects it; clicking or dragging over walkable tiles appends waypoints to its route
+    paintPatrol(pos) {
+        const guardAtPos = this.guards.find(guard => guard.x === pos.x && guard.y === pos.y);
+        if (guardAtPos) {
+            this.patrolGuardId = guardAtPos.id;
+            if (guardAtPos.patrol) {
+                document.getElementById('patrolMode').value = guardAtPos.patrol.mode;
+            }
+            this.updateEntityLists();
+            return;
+        }
+        
+        const guard = this.guards.find(g => g.id === this.patrolGuardId);
+        if (!guard || !this.isWalkable(pos)) return;
+        
+        if (!guard.patrol) {
+            guard.patrol = { mode: document.getElementById('patrolMode').value, waypoints: [] };
+        }
+        if (guard.patrol.waypoints.some(point => point.x === pos.x && point.y === pos.y)) return;
+        guard.patrol.waypoints.push({ x: pos.x, y: pos.y });
+        this.updateEntityLists();
+    }
+
     removeEntitiesAt(pos) {
         this.removeGuardAt(pos);
         this.removeTargetAt(pos);
+        this.removeCrateAt(pos);
+        this.removeWaypointsAt(pos);
+        this.removeLinksAt(pos);
+        this.updateEntityLists();
+    }
+
+    removeLinksAt(pos) {
+        const at = point => point.x === pos.x && point.y === pos.y;
+        this.links = this.links
+            .filter(link => !at(link.plate))
+            .map(link => ({ plate: link.plate, doors: link.doors.filter(door => !at(door)) }))
+            .filter(link => link.doors.length > 0);
+        if (this.linkPlate && at(this.linkPlate)) this.linkPlate = null;
+    }
+
+    toggleAlarmTile(pos) {
+        const index = this.alarmTiles.findIndex(tile => tile.x === pos.x && tile.y === pos.y);
+        if (index !== -1) {
+            this.alarmTiles.splice(index, 1);
+        } else if (this.isWalkable(pos)) {
+            this.alarmTiles.push({ x: pos.x, y: pos.y });
+        }
+        this.updateEntityLists();
+    }
+
+    isWalkable(pos) {
+        const tile = this.grid[pos.y][pos.x];
+        return tile === Tile.FLOOR || tile === Tile.PLATE || this.isDoor(pos);
+    }
+
+    clearZone() {
+        this.keepOutZone = null;
+        this.updateEntityLists();
+        this.render();
+    }
+
+    clearAlarmTiles() {
+        this.alarmTiles = [];
         this.updateEntityLists();
+        this.render();
+    }
+
+    removeLink(index) {
+        this.links.splice(index, 1);
+        this.updateEntityLists();
+        this.render();
+    }
+
+    removeCrateAt(pos) {
+        this.crates = this.crates.filter(crate => crate.x !== pos.x || crate.y !== pos.y);
+    }
+
+    removeWaypointsAt(pos) {
+        for (const guard of this.guards) {
+            if (!guard.patrol) continue;
+            guard.patrol.waypoints = guard.patrol.waypoints.filter(point => point.x !== pos.x || point.y !== pos.y);
+            if (guard.patrol.waypoints.length === 0) guard.patrol = null;
+        }
     }
 
     removeGuardAt(pos) {
@@ -268,6 +492,21 @@ class LevelEditor {
         }
     }
 
+    // Inspector edits from the targets list; an empty group makes the target unordered
+    setTargetField(id, field, value) {
+        const target = this.targets.find(target => target.id === id);
+        if (!target) return;
+        
+        if (field === 'group') {
+            target.group = value.trim();
+        } else {
+            const number = parseInt(value);
+            target[field] = isNaN(number) ? (field === 'hp' ? 1 : 0) : Math.max(field === 'hp' ? 1 : 0, number);
+        }
+        this.updateEntityLists();
+        this.render();
+    }
+
     updateEntityLists() {
         // Update guards list
         const guardsList = document.getElementById('guardsList');
@@ -275,8 +514,8 @@ class LevelEditor {
             guardsList.innerHTML = '<div style="text-align: center; color: #888; font-size: 12px;">No guards placed</div>';
         } else {
             guardsList.innerHTML = this.guards.map(guard => `
-                <div class="entity-item">
-                    <span>Guard (${guard.x}, ${guard.y}) - R:${guard.hearingRadius}</span>
+                <div class="entity-item${guard.id === this.patrolGuardId ? ' selected' : ''}">
+                    <span>Guard (${escapeHtml(guard.x)}, ${escapeHtml(guard.y)}) - R:${escapeHtml(guard.hearingRadius)} - ${escapeHtml(guard.type)}${guard.facing !== null ? ` - ${FACING_NAMES[guard.facing]}` : ''}${guard.hasRadio ? ' - radio' : ''}${guard.patrol ? ` - ${escapeHtml(guard.patrol.mode)} ×${guard.patrol.waypoints.length}` : ''}</span>
                     <button onclick="editor.removeGuard(${guard.id})">×</button>
                 </div>
             `).join('');
@@ -289,11 +528,34 @@ class LevelEditor {
         } else {
             targetsList.innerHTML = this.targets.map(target => `
                 <div class="entity-item">
-                    <span>Target (${target.x}, ${target.y})</span>
+                    <span>Target (${escapeHtml(target.x)}, ${escapeHtml(target.y)})</span>
+                    <span>
+                        HP<input type="number" min="1" max="5" value="${escapeHtml(target.hp)}" onchange="editor.setTargetField(${target.id}, 'hp', this.value)">
+                        G<input type="text" value="${escapeHtml(target.group)}" onchange="editor.setTargetField(${target.id}, 'group', this.value)">
+                        #<input type="number" min="0" value="${escapeHtml(target.order)}" onchange="editor.setTargetField(${target.id}, 'order', this.value)">
+                    </span>
                     <button onclick="editor.removeTarget(${target.id})">×</button>
                 </div>
             `).join('');
         }
+        
+        // Update condition summaries
+        const zone = this.keepOutZone;
+        document.getElementById('zoneInfo').textContent = zone ? `(${zone.x}, ${zone.y}) ${zone.w}×${zone.h}` : 'none';
+        document.getElementById('alarmInfo').textContent = this.alarmTiles.length.toString();
+        
+        // Update plate links list
+        const linksList = document.getElementById('linksList');
+        if (this.links.length === 0) {
+            linksList.innerHTML = '<div style="text-align: center; color: #888; font-size: 12px;">No plates linked</div>';
+        } else {
+            linksList.innerHTML = this.links.map((link, index) => `
+                <div class="entity-item${this.linkPlate && this.linkPlate.x === link.plate.x && this.linkPlate.y === link.plate.y ? ' selected' : ''}">
+                    <span>Plate (${escapeHtml(link.plate.x)}, ${escapeHtml(link.plate.y)}) → ${link.doors.map(door => `(${escapeHtml(door.x)}, ${escapeHtml(door.y)})`).join(' ')}</span>
+                    <button onclick="editor.removeLink(${index})">×</button>
+                </div>
+            `).join('');
+        }
     }
 
     render() {
@@ -305,6 +567,12 @@ class LevelEditor {
         // Render tiles
         this.renderTiles();
         
+        // Render plate-to-door links
+        this.renderLinks();
+        
+        // Render the keep-out zone and alarm tiles
+        this.renderConditionTiles();
+        
         // Render entities
         this.renderEntities();
         
@@ -351,11 +619,117 @@ class LevelEditor {
                         this.ctx.fillStyle = '#000';
                         this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
                         break;
+                    case Tile.DOOR_CLOSED:
+                    case Tile.DOOR_OPEN:
+                        this.renderDoor(screenX, screenY, tile === Tile.DOOR_OPEN);
+                        break;
+                    case Tile.PLATE:
+                        this.renderPlate(screenX, screenY);
+                        break;
+                    case Tile.CRACKED_WALL:
+                        this.renderCrackedWall(screenX, screenY);
+                        break;
                 }
             }
         }
     }
 
+    // Same look as the game's renderCrackedWall
+    renderCrackedWall(screenX, screenY) {
+        const size = this.tileSize;
+        this.ctx.fillStyle = '#5a5a5a';
+        this.ctx.fillRect(screenX, screenY, size, size);
+        this.ctx.strokeStyle = '#2a2a2a';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX + size * 0.3, screenY);
+        this.ctx.lineTo(screenX + size * 0.45, screenY + size * 0.35);
+        this.ctx.lineTo(screenX + size * 0.3, screenY + size * 0.6);
+        this.ctx.lineTo(screenX + size * 0.55, screenY + size);
+        this.ctx.moveTo(screenX + size * 0.45, screenY + size * 0.35);
+        this.ctx.lineTo(screenX + size * 0.8, screenY + size * 0.45);
+        this.ctx.stroke();
+    }
+
+    // Same look as the game's renderDoor
+    renderDoor(screenX, screenY, open) {
+        this.ctx.fillStyle = '#222';
+        this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
+        this.ctx.strokeStyle = '#a0662a';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(screenX + 1, screenY + 1, this.tileSize - 2, this.tileSize - 2);
+        if (!open) {
+            this.ctx.fillStyle = '#7a4a1a';
+            this.ctx.fillRect(screenX + 3, screenY + 3, this.tileSize - 6, this.tileSize - 6);
+        }
+    }
+
+    renderPlate(screenX, screenY) {
+        this.ctx.fillStyle = '#222';
+        this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
+        this.ctx.fillStyle = '#8a7a3a';
+        this.ctx.fillRect(
+            screenX + this.tileSize * 0.2,
+            screenY + this.tileSize * 0.2,
+            this.tileSize * 0.6,
+            this.tileSize * 0.6
+        );
+    }
+
+    renderLinks() {
+        const center = point => [point.x * this.tileSize + this.tileSize / 2, point.y * this.tileSize + this.tileSize / 2];
+        
+        this.ctx.setLineDash([3, 3]);
+        for (const link of this.links) {
+            const selected = this.linkPlate && this.linkPlate.x === link.plate.x && this.linkPlate.y === link.plate.y;
+            this.ctx.strokeStyle = selected ? '#ffd070' : 'rgba(208, 160, 80, 0.5)';
+            this.ctx.lineWidth = selected ? 2 : 1;
+            for (const door of link.doors) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(...center(link.plate));
+                this.ctx.lineTo(...center(door));
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.setLineDash([]);
+        
+        if (this.linkPlate) {
+            this.ctx.strokeStyle = '#ffd070';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(this.linkPlate.x * this.tileSize, this.linkPlate.y * this.tileSize, this.tileSize, this.tileSize);
+        }
+    }
+
+    renderConditionTiles() {
+        if (this.keepOutZone) {
+            const zone = this.keepOutZone;
+            this.ctx.fillStyle = 'rgba(102, 221, 102, 0.12)';
+            this.ctx.fillRect(zone.x * this.tileSize, zone.y * this.tileSize, zone.w * this.tileSize, zone.h * this.tileSize);
+            this.ctx.strokeStyle = '#66dd66';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.strokeRect(zone.x * this.tileSize, zone.y * this.tileSize, zone.w * this.tileSize, zone.h * this.tileSize);
+            this.ctx.setLineDash([]);
+        }
+        
+        for (const tile of this.alarmTiles) {
+            this.renderAlarmTile(tile.x * this.tileSize, tile.y * this.tileSize);
+        }
+    }
+
+    renderAlarmTile(screenX, screenY) {
+        const inset = this.tileSize * 0.1;
+        this.ctx.strokeStyle = '#ff4444';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(screenX + inset, screenY + inset, this.tileSize - inset * 2, this.tileSize - inset * 2);
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX + inset, screenY + inset);
+        this.ctx.lineTo(screenX + this.tileSize - inset, screenY + this.tileSize - inset);
+        this.ctx.moveTo(screenX + this.tileSize - inset, screenY + inset);
+        this.ctx.lineTo(screenX + inset, screenY + this.tileSize - inset);
+        this.ctx.stroke();
+    }
+
     renderEntities() {
         // Render targets
         for (const target of this.targets) {
@@ -371,14 +745,43 @@ class LevelEditor {
                 this.tileSize * 0.6
             );
             
-            // Add inner detail
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.fillRect(
-                screenX + this.tileSize * 0.4,
-                screenY + this.tileSize * 0.4,
-                this.tileSize * 0.2,
-                this.tileSize * 0.2
-            );
+            if (target.group) {
+                // Place in its ordered group instead of the inner detail
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.font = `bold ${this.tileSize * 0.35}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(target.order.toString(), screenX + this.tileSize / 2, screenY + this.tileSize / 2);
+            } else {
+                // Add inner detail
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.fillRect(
+                    screenX + this.tileSize * 0.4,
+                    screenY + this.tileSize * 0.4,
+                    this.tileSize * 0.2,
+                    this.tileSize * 0.2
+                );
+            }
+            
+            // One pip per hit point on armored targets
+            if (target.hp > 1) {
+                const pipSize = this.tileSize * Math.min(0.12, 0.5 / target.hp);
+                const gap = (this.tileSize * 0.6 - pipSize * target.hp) / (target.hp + 1);
+                this.ctx.fillStyle = '#dddddd';
+                for (let i = 0; i < target.hp; i++) {
+                    this.ctx.fillRect(screenX + this.tileSize * 0.2 + gap + i * (pipSize + gap), screenY + this.tileSize * 0.84, pipSize, pipSize);
+                }
+            }
+        }
+        
+        // Render crates
+        for (const crate of this.crates) {
+            this.renderCrate(crate.x * this.tileSize, crate.y * this.tileSize);
+        }
+        
+        // Render patrol routes under the guards
+        for (const guard of this.guards) {
+            if (guard.patrol) this.renderPatrolRoute(guard);
         }
         
         // Render guards
@@ -386,17 +789,42 @@ class LevelEditor {
             const screenX = guard.x * this.tileSize;
             const screenY = guard.y * this.tileSize;
             
-            // Draw guard as blue circle
-            this.ctx.fillStyle = '#4444ff';
-            this.ctx.beginPath();
-            this.ctx.arc(
+            // Sight cone outline, ignoring walls (the game cuts it at walls and smoke)
+            if (guard.facing !== null) {
+                const range = parseInt(document.getElementById('sightRange').value) || 4;
+                const ahead = FACING_VECTORS[guard.facing];
+                const centerX = screenX + this.tileSize / 2;
+                const centerY = screenY + this.tileSize / 2;
+                const reach = range * this.tileSize;
+                this.ctx.fillStyle = 'rgba(255, 238, 136, 0.15)';
+                this.ctx.beginPath();
+                this.ctx.moveTo(centerX, centerY);
+                this.ctx.lineTo(centerX + (ahead.x - ahead.y) * reach, centerY + (ahead.y + ahead.x) * reach);
+                this.ctx.lineTo(centerX + (ahead.x + ahead.y) * reach, centerY + (ahead.y - ahead.x) * reach);
+                this.ctx.closePath();
+                this.ctx.fill();
+            }
+            
+            // Draw guard silhouette for its archetype
+            this.renderGuardSilhouette(
+                guard.type,
                 screenX + this.tileSize / 2,
                 screenY + this.tileSize / 2,
                 this.tileSize * 0.3,
-                0,
-                Math.PI * 2
+                '#4444ff'
             );
-            this.ctx.fill();
+            
+            // Radio carriers wear an antenna, as in the game
+            if (guard.hasRadio) {
+                const baseX = screenX + this.tileSize * 0.7;
+                const baseY = screenY + this.tileSize * 0.35;
+                this.ctx.strokeStyle = '#66ffcc';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(baseX, baseY);
+                this.ctx.lineTo(baseX, baseY - this.tileSize * 0.25);
+                this.ctx.stroke();
+            }
             
             // Draw hearing radius as faint circle
             this.ctx.strokeStyle = '#4444ff';
@@ -415,6 +843,94 @@ class LevelEditor {
         }
     }
 
+    // Same look as the game's renderCrate
+    renderCrate(screenX, screenY) {
+        const inset = this.tileSize * 0.1;
+        const size = this.tileSize - inset * 2;
+        this.ctx.fillStyle = '#8b5a2b';
+        this.ctx.fillRect(screenX + inset, screenY + inset, size, size);
+        this.ctx.strokeStyle = '#5a3a1a';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(screenX + inset, screenY + inset, size, size);
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX + inset, screenY + inset);
+        this.ctx.lineTo(screenX + inset + size, screenY + inset + size);
+        this.ctx.moveTo(screenX + inset + size, screenY + inset);
+        this.ctx.lineTo(screenX + inset, screenY + inset + size);
+        this.ctx.stroke();
+    }
+
+    // Dashed path from the guard through its waypoints, closed back to the first for loops
+    renderPatrolRoute(guard) {
+        const center = point => [point.x * this.tileSize + this.tileSize / 2, point.y * this.tileSize + this.tileSize / 2];
+        const waypoints = guard.patrol.waypoints;
+        const selected = guard.id === this.patrolGuardId;
+        
+        this.ctx.strokeStyle = selected ? '#88ccff' : '#4466aa';
+        this.ctx.lineWidth = selected ? 2 : 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(...center(guard));
+        for (const point of waypoints) {
+            this.ctx.lineTo(...center(point));
+        }
+        if (guard.patrol.mode === PatrolMode.LOOP && waypoints.length > 1) {
+            this.ctx.lineTo(...center(waypoints[0]));
+        }
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        // Numbered waypoint markers
+        this.ctx.font = `${Math.max(8, Math.floor(this.tileSize * 0.45))}px monospace`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        waypoints.forEach((point, index) => {
+            const [x, y] = center(point);
+            this.ctx.fillStyle = selected ? '#88ccff' : '#4466aa';
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, this.tileSize * 0.3, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.fillStyle = '#000';
+            this.ctx.fillText(String(index + 1), x, y);
+        });
+    }
+
+    // Same shapes as the game's renderGuardSilhouette; sleepers are shown with the lid closed
+    renderGuardSilhouette(type, centerX, centerY, radius, color) {
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        
+        switch (type) {
+            case GuardType.RUNNER:
+                this.ctx.moveTo(centerX + radius, centerY);
+                this.ctx.lineTo(centerX - radius, centerY - radius);
+                this.ctx.lineTo(centerX - radius * 0.5, centerY);
+                this.ctx.lineTo(centerX - radius, centerY + radius);
+                this.ctx.closePath();
+                break;
+            case GuardType.DEAF:
+                this.ctx.rect(centerX - radius, centerY - radius, radius * 2, radius * 2);
+                break;
+            case GuardType.BRAVE:
+                this.ctx.moveTo(centerX, centerY - radius * 1.2);
+                this.ctx.lineTo(centerX + radius * 1.2, centerY);
+                this.ctx.lineTo(centerX, centerY + radius * 1.2);
+                this.ctx.lineTo(centerX - radius * 1.2, centerY);
+                this.ctx.closePath();
+                break;
+            default:
+                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        }
+        this.ctx.fill();
+        
+        if (type === GuardType.SLEEPER) {
+            this.ctx.fillStyle = '#222266';
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, Math.PI, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
     renderPreview() {
         if (!this.showPreview || !this.isValidGridPos(this.mousePos)) return;
         
@@ -436,24 +952,59 @@ class LevelEditor {
                 this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
                 break;
                 
+            case EditorTool.CRACKED_WALL:
+                this.renderCrackedWall(screenX, screenY);
+                break;
+                
             case EditorTool.VOID:
                 this.ctx.fillStyle = '#111'; // Lighter than normal void
                 this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
                 break;
                 
+            case EditorTool.DOOR:
+                this.renderDoor(screenX, screenY, this.isDoor(this.mousePos) &&
+                    this.grid[this.mousePos.y][this.mousePos.x] === Tile.DOOR_CLOSED);
+                break;
+                
+            case EditorTool.PLATE:
+                this.renderPlate(screenX, screenY);
+                break;
+                
+            case EditorTool.ZONE:
+                this.ctx.strokeStyle = '#66dd66';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(screenX, screenY, this.tileSize, this.tileSize);
+                break;
+                
+            case EditorTool.ALARM:
+                if (this.isWalkable(this.mousePos)) this.renderAlarmTile(screenX, screenY);
+                break;
+                
+            case EditorTool.LINK:
+                if (this.linkPlate && this.isDoor(this.mousePos)) {
+                    // Preview the link being made
+                    this.ctx.strokeStyle = '#ffd070';
+                    this.ctx.lineWidth = 2;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(
+                        this.linkPlate.x * this.tileSize + this.tileSize / 2,
+                        this.linkPlate.y * this.tileSize + this.tileSize / 2
+                    );
+                    this.ctx.lineTo(screenX + this.tileSize / 2, screenY + this.tileSize / 2);
+                    this.ctx.stroke();
+                }
+                break;
+                
             case EditorTool.GUARD:
                 if (this.grid[this.mousePos.y][this.mousePos.x] === Tile.FLOOR) {
-                    // Preview guard as semi-transparent blue circle
-                    this.ctx.fillStyle = '#6666ff';
-                    this.ctx.beginPath();
-                    this.ctx.arc(
+                    // Preview guard as semi-transparent silhouette of the selected type
+                    this.renderGuardSilhouette(
+                        document.getElementById('guardType').value,
                         screenX + this.tileSize / 2,
                         screenY + this.tileSize / 2,
                         this.tileSize * 0.3,
-                        0,
-                        Math.PI * 2
+                        '#6666ff'
                     );
-                    this.ctx.fill();
                     
                     // Show hearing radius preview
                     const hearingRadius = parseInt(document.getElementById('defaultHearingRadius').value);
@@ -493,6 +1044,29 @@ class LevelEditor {
                 }
                 break;
                 
+            case EditorTool.CRATE:
+                if (this.grid[this.mousePos.y][this.mousePos.x] === Tile.FLOOR) {
+                    this.renderCrate(screenX, screenY);
+                }
+                break;
+                
+            case EditorTool.PATROL:
+                if (this.isWalkable(this.mousePos) && this.patrolGuardId !== null) {
+                    // Preview the next waypoint as a hollow marker
+                    this.ctx.strokeStyle = '#88ccff';
+                    this.ctx.lineWidth = 2;
+                    this.ctx.beginPath();
+                    this.ctx.arc(
+                        screenX + this.tileSize / 2,
+                        screenY + this.tileSize / 2,
+                        this.tileSize * 0.3,
+                        0,
+                        Math.PI * 2
+                    );
+                    this.ctx.stroke();
+                }
+                break;
+                
             case EditorTool.ERASE:
                 // Show an X for erase tool
                 this.ctx.strokeStyle = '#ff4444';
@@ -518,6 +1092,25 @@ class LevelEditor {
         this.ctx.globalAlpha = originalAlpha;
     }
 
+    // Only conditions that are switched on are written; 0 turns or budget means off
+    exportWinConditions() {
+        const win = { destroyAllTargets: document.getElementById('winDestroyAll').checked };
+        const byTurn = parseInt(document.getElementById('winByTurn').value);
+        if (byTurn > 0) win.destroyTargetsByTurn = byTurn;
+        if (this.keepOutZone) win.keepGuardsOut = { ...this.keepOutZone };
+        return win;
+    }
+
+    exportFailConditions() {
+        const fail = { noGuardDeaths: document.getElementById('failNoGuardDeaths').checked };
+        const turnLimit = parseInt(document.getElementById('failTurnLimit').value);
+        const bombBudget = parseInt(document.getElementById('failBombBudget').value);
+        if (turnLimit > 0) fail.turnLimit = turnLimit;
+        if (bombBudget > 0) fail.bombBudget = bombBudget;
+        if (this.alarmTiles.length > 0) fail.guardReaches = this.alarmTiles.map(tile => ({ x: tile.x, y: tile.y }));
+        return fail;
+    }
+
     exportLevel() {
         const levelData = {
             id: document.getElementById('levelId').value,
@@ -526,22 +1119,61 @@ class LevelEditor {
                 gridSize: this.gridSize,
                 timersAllowed: document.getElementById('timersAllowed').checked,
                 blastRange: parseInt(document.getElementById('blastRange').value),
+                blastShape: document.getElementById('blastShape').value,
                 maxActiveBombs: parseInt(document.getElementById('maxActiveBombs').value),
                 maxBombsPerTurn: parseInt(document.getElementById('maxBombsPerTurn').value),
                 defaultHearingRadius: parseInt(document.getElementById('defaultHearingRadius').value),
                 memoryTTL: 8,
-                chainReactions: false
+                chainReactions: document.getElementById('chainReactions').checked,
+                charges: {
+                    shaped: parseInt(document.getElementById('shapedCharges').value),
+                    smoke: parseInt(document.getElementById('smokeCharges').value),
+                    flashbang: parseInt(document.getElementById('flashbangCharges').value)
+                },
+                noisemakers: parseInt(document.getElementById('noisemakers').value),
+                noisemakerLevel: parseInt(document.getElementById('noisemakerLevel').value),
+                noisemakerTurns: parseInt(document.getElementById('noisemakerTurns').value),
+                sightRange: parseInt(document.getElementById('sightRange').value),
+                sightResponse: document.getElementById('sightResponse').value,
+                radioRadius: parseInt(document.getElementById('radioRadius').value),
+                investigatePoints: parseInt(document.getElementById('investigatePoints').value),
+                searchRadius: parseInt(document.getElementById('searchRadius').value),
+                returnToPost: document.getElementById('returnToPost').checked
             },
-            guards: this.guards.map(guard => ({
-                x: guard.x,
-                y: guard.y,
-                hearingRadius: guard.hearingRadius
-            })),
-            targets: this.targets.map(target => ({
-                x: target.x,
-                y: target.y
+            guards: this.guards.map(guard => {
+                const guardData = {
+                    x: guard.x,
+                    y: guard.y,
+                    hearingRadius: guard.hearingRadius,
+                    type: guard.type
+                };
+                if (guard.facing !== null) guardData.facing = guard.facing;
+                if (guard.hasRadio) guardData.hasRadio = true;
+                if (guard.patrol) {
+                    guardData.patrol = {
+                        mode: guard.patrol.mode,
+                        waypoints: guard.patrol.waypoints.map(point => ({ x: point.x, y: point.y }))
+                    };
+                }
+                return guardData;
+            }),
+            targets: this.targets.map(target => {
+                const targetData = { x: target.x, y: target.y };
+                if (target.hp > 1) targetData.hp = target.hp;
+                if (target.group) {
+                    targetData.group = target.group;
+                    targetData.order = target.order;
+                }
+                return targetData;
+            }),
+            crates: this.crates.map(crate => ({ x: crate.x, y: crate.y })),
+            grid: this.grid.map(row => [...row]),
+            links: this.links.map(link => ({
+                plate: { x: link.plate.x, y: link.plate.y },
+                doors: link.doors.map(door => ({ x: door.x, y: door.y }))
             })),
-            grid: this.grid.map(row => [...row])
+            win: this.exportWinConditions(),
+            fail: this.exportFailConditions()
         };
         
         const json = JSON.stringify(levelData, null, 2);
@@ -571,10 +1203,25 @@ class LevelEditor {
             document.getElementById('levelName').value = levelData.name;
             document.getElementById('gridSize').value = levelData.config.gridSize || 24;
             document.getElementById('timersAllowed').checked = levelData.config.timersAllowed || false;
+            document.getElementById('chainReactions').checked = levelData.config.chainReactions || false;
             document.getElementById('blastRange').value = levelData.config.blastRange || 3;
+            document.getElementById('blastShape').value = levelData.config.blastShape || 'cross';
             document.getElementById('maxActiveBombs').value = levelData.config.maxActiveBombs || 4;
             document.getElementById('maxBombsPerTurn').value = levelData.config.maxBombsPerTurn || 1;
             document.getElementById('defaultHearingRadius').value = levelData.config.defaultHearingRadius || 8;
+            const charges = levelData.config.charges || {};
+            document.getElementById('shapedCharges').value = charges.shaped || 0;
+            document.getElementById('smokeCharges').value = charges.smoke || 0;
+            document.getElementById('flashbangCharges').value = charges.flashbang || 0;
+            document.getElementById('noisemakers').value = levelData.config.noisemakers || 0;
+            document.getElementById('noisemakerLevel').value = levelData.config.noisemakerLevel || 2;
+            document.getElementById('noisemakerTurns').value = levelData.config.noisemakerTurns || 3;
+            document.getElementById('sightRange').value = levelData.config.sightRange || 4;
+            document.getElementById('sightResponse').value = levelData.config.sightResponse || 'defuse';
+            document.getElementById('radioRadius').value = levelData.config.radioRadius || 6;
+            document.getElementById('investigatePoints').value = levelData.config.investigatePoints !== undefined ? levelData.config.investigatePoints : 4;
+            document.getElementById('searchRadius').value = levelData.config.searchRadius || 2;
+            document.getElementById('returnToPost').checked = levelData.config.returnToPost !== false;
             
             // Update grid size and initialize
             this.gridSize = levelData.config.gridSize || 24;
@@ -594,17 +1241,47 @@ class LevelEditor {
                 id: index,
                 x: guard.x,
                 y: guard.y,
-                hearingRadius: guard.hearingRadius || 8
+                hearingRadius: guard.hearingRadius || 8,
+                type: guard.type || GuardType.NORMAL,
+                facing: guard.facing !== undefined ? guard.facing : null,
+                hasRadio: !!guard.hasRadio,
+                patrol: guard.patrol && guard.patrol.waypoints && guard.patrol.waypoints.length > 0 ? {
+                    mode: guard.patrol.mode || PatrolMode.LOOP,
+                    waypoints: guard.patrol.waypoints.map(point => ({ x: point.x, y: point.y }))
+                } : null
             }));
             this.guardIdCounter = this.guards.length;
+            this.patrolGuardId = null;
             
             this.targets = (levelData.targets || []).map((target, index) => ({
                 id: index,
                 x: target.x,
-                y: target.y
+                y: target.y,
+                hp: target.hp || 1,
+                group: target.group !== undefined ? String(target.group) : '',
+                order: target.order || 0
             }));
             this.targetIdCounter = this.targets.length;
             
+            this.crates = (levelData.crates || []).map(crate => ({ x: crate.x, y: crate.y }));
+            
+            this.links = (levelData.links || []).map(link => ({
+                plate: { x: link.plate.x, y: link.plate.y },
+                doors: (link.doors || []).map(door => ({ x: door.x, y: door.y }))
+            }));
+            this.linkPlate = null;
+            
+            // Win / fail blocks; missing keys fall back to the game's defaults
+            const win = levelData.win || {};
+            const fail = levelData.fail || {};
+            document.getElementById('winDestroyAll').checked = win.destroyAllTargets !== false;
+            document.getElementById('winByTurn').value = win.destroyTargetsByTurn || 0;
+            this.keepOutZone = win.keepGuardsOut ? { ...win.keepGuardsOut } : null;
+            document.getElementById('failNoGuardDeaths').checked = fail.noGuardDeaths !== false;
+            document.getElementById('failTurnLimit').value = fail.turnLimit || 0;
+            document.getElementById('failBombBudget').value = fail.bombBudget || 0;
+            this.alarmTiles = (fail.guardReaches || []).map(tile => ({ x: tile.x, y: tile.y }));
+            
             this.updateEntityLists();
             this.render();
             
@@ -651,6 +1328,11 @@ class LevelEditor {
             if (this.grid[guard.y][guard.x] !== Tile.FLOOR) {
                 errors.push(`Guard at (${guard.x}, ${guard.y}) is not on a floor tile`);
             }
+            for (const point of (guard.patrol ? guard.patrol.waypoints : [])) {
+                if (!this.isWalkable(point)) {
+                    errors.push(`Patrol waypoint (${point.x}, ${point.y}) of guard at (${guard.x}, ${guard.y}) is not on a walkable tile`);
+                }
+            }
         }
         
         for (const target of this.targets) {
@@ -659,6 +1341,34 @@ class LevelEditor {
             }
         }
         
+        for (const crate of this.crates) {
+            if (this.grid[crate.y][crate.x] !== Tile.FLOOR) {
+                errors.push(`Crate at (${crate.x}, ${crate.y}) is not on a floor tile`);
+            }
+        }
+        
+        // A level needs a goal that can end it; the keep-out zone only holds
+        if (!document.getElementById('winDestroyAll').checked && !(parseInt(document.getElementById('winByTurn').value) > 0)) {
+            errors.push('Level needs a win goal: destroy all targets or destroy targets by a turn');
+        }
+        
+        for (const tile of this.alarmTiles) {
+            if (!this.isWalkable(tile)) {
+                errors.push(`Alarm tile at (${tile.x}, ${tile.y}) cannot be reached by guards`);
+            }
+        }
+        
+        for (const link of this.links) {
+            if (this.grid[link.plate.y][link.plate.x] !== Tile.PLATE) {
+                errors.push(`Link at (${link.plate.x}, ${link.plate.y}) does not start on a plate`);
+            }
+            for (const door of link.doors) {
+                if (!this.isDoor(door)) {
+                    errors.push(`Plate at (${link.plate.x}, ${link.plate.y}) links to (${door.x}, ${door.y}), which is not a door`);
+                }
+            }
+        }
+        
         return errors;
     }
 
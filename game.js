@@ -1,414 +1,229 @@
 // Silent Charges - Turn-based puzzle game
 // Implementation based on the game brief
 
-// Constants and enums
-const MAX_GRID_SIZE = 64;
-const CANVAS_SIZE = 640;
-
-const Tile = {
-    FLOOR: 0,
-    WALL: 1,
-    VOID: 2
-};
+// Simulation rules, entities and enums live in simulation.js (loaded first)
 
-const BombState = {
-    TICKING: 'ticking',
-    EXPLODING: 'exploding'
-};
+// Constants
+const CANVAS_SIZE = 640;
 
-const GameState = {
-    PLAYING: 'playing',
-    WON: 'won',
-    LOST: 'lost'
+// Camera zoom limits in screen pixels per tile, and the zoom per mouse wheel notch
+const MIN_TILE_SIZE = 6;
+const MAX_TILE_SIZE = 96;
+const WHEEL_ZOOM_STEP = 1.15;
+const DRAG_THRESHOLD = 4; // Pixels a press may travel and still count as a click
+
+// What a left click on an empty tile places; special charges share their BombKind name
+const PlayerItem = {
+    BOMB: 'bomb',
+    SHAPED: BombKind.SHAPED,
+    SMOKE: BombKind.SMOKE,
+    FLASHBANG: BombKind.FLASHBANG,
+    NOISEMAKER: 'noisemaker'
 };
 
-// Configuration
-const DEFAULT_CONFIG = {
-    gridSize: 32,
-    blastRange: 3,
-    defaultHearingRadius: 8,
-    memoryTTL: 8,
-    maxBombsPerTurn: 1,
-    chainReactions: false,
-    undoEnabled: true
+// Mark drawn over a guard per alert state; idle guards have none
+const GUARD_ALERT_MARKS = {
+    [GuardAlert.ALERTED]: { symbol: '!', color: '#ff4444' },
+    [GuardAlert.INVESTIGATING]: { symbol: '?', color: '#ffcc44' },
+    [GuardAlert.RETURNING]: { symbol: '\u2302', color: '#88ccff' }
 };
 
-// Utility functions
-class Vec {
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
-    }
-
-    equals(other) {
-        return this.x === other.x && this.y === other.y;
-    }
-
-    manhattanDistance(other) {
-        return Math.abs(this.x - other.x) + Math.abs(this.y - other.y);
-    }
-
-    clone() {
-        return new Vec(this.x, this.y);
-    }
-}
-
-// Entity classes
-class Target {
-    constructor(id, pos) {
-        this.id = id;
-        this.pos = new Vec(pos.x, pos.y);
-        this.destroyed = false;
-    }
-}
-
-class Bomb {
-    constructor(id, pos, hasTimer = false) {
-        this.id = id;
-        this.pos = new Vec(pos.x, pos.y);
-        this.hasTimer = hasTimer;
-        this.timer = hasTimer ? 3 : 1; // Green = 3, Yellow = 2, Red = 1
-        this.state = BombState.TICKING;
-    }
-
-    getNoiseLevel() {
-        if (this.state === BombState.EXPLODING) return 4;
-        if (!this.hasTimer) return 3; // Immediate bombs are always "red" noise
-        
-        // Timer to noise mapping: 3->1 (Green), 2->2 (Yellow), 1->3 (Red)
-        return 4 - this.timer;
-    }
-
-    getColor() {
-        if (!this.hasTimer) return '#ff0000'; // Red for immediate
-        
-        switch (this.timer) {
-            case 3: return '#00ff00'; // Green
-            case 2: return '#ffff00'; // Yellow  
-            case 1: return '#ff0000'; // Red
-            default: return '#ffffff';
-        }
-    }
-
-    cycleTimer() {
-        if (!this.hasTimer) return;
-        this.timer = this.timer === 3 ? 1 : this.timer + 1; // 3->1, 1->2, 2->3
-    }
-}
-
-class Guard {
-    constructor(id, pos, hearingRadius = DEFAULT_CONFIG.defaultHearingRadius) {
-        this.id = id;
-        this.pos = new Vec(pos.x, pos.y);
-        this.hearingRadius = hearingRadius;
-        this.memory = null; // {pos: Vec, turnIndex: number}
-        this.targetPos = null; // Current movement target
-    }
-}
-
-// Level definition
-class Level {
-    constructor(levelData) {
-        this.id = levelData.id;
-        this.name = levelData.name;
-        this.bounds = levelData.bounds || null; // Optional bounds for backward compatibility
-        this.targets = [];
-        this.guards = [];
-        this.config = { ...DEFAULT_CONFIG, ...levelData.config };
-        this.grid = this.createEmptyGrid();
-        
-        this.initializeFromData(levelData);
-    }
-
-    createEmptyGrid() {
-        const grid = [];
-        const gridSize = Math.min(this.config.gridSize || DEFAULT_CONFIG.gridSize, MAX_GRID_SIZE);
-        for (let y = 0; y < gridSize; y++) {
-            grid[y] = [];
-            for (let x = 0; x < gridSize; x++) {
-                grid[y][x] = Tile.VOID;
-            }
-        }
-        return grid;
-    }
-
-    initializeFromData(levelData) {
-        // Load grid data directly if available, otherwise parse ASCII layout
-        if (levelData.grid && Array.isArray(levelData.grid)) {
-            // Load from grid array
-            for (let y = 0; y < Math.min(levelData.grid.length, this.config.gridSize); y++) {
-                for (let x = 0; x < Math.min(levelData.grid[y].length, this.config.gridSize); x++) {
-                    this.grid[y][x] = levelData.grid[y][x];
-                }
-            }
-        } else if (levelData.layout) {
-            // Parse ASCII layout (for backward compatibility)
-            this.parseASCIILayout(levelData.layout);
-        }
-
-        // Add targets
-        levelData.targets.forEach((targetData, index) => {
-            this.targets.push(new Target(index, new Vec(targetData.x, targetData.y)));
-        });
-
-        // Add guards
-        levelData.guards.forEach((guardData, index) => {
-            const hearingRadius = guardData.hearingRadius || this.config.defaultHearingRadius;
-            this.guards.push(new Guard(index, new Vec(guardData.x, guardData.y), hearingRadius));
-        });
-    }
-
-    parseASCIILayout(layout) {
-        const lines = layout.trim().split('\n');
-        const startY = this.bounds ? this.bounds.y : 0;
-        const startX = this.bounds ? this.bounds.x : 0;
-
-        for (let row = 0; row < lines.length; row++) {
-            const line = lines[row];
-            for (let col = 0; col < line.length; col++) {
-                const x = startX + col;
-                const y = startY + row;
-                
-                if (x >= this.config.gridSize || y >= this.config.gridSize) continue;
-
-                const char = line[col];
-                switch (char) {
-                    case '#':
-                        this.grid[y][x] = Tile.WALL;
-                        break;
-                    case '.':
-                    case 'G':
-                    case 'T':
-                    case 'S':
-                        this.grid[y][x] = Tile.FLOOR;
-                        break;
-                    default:
-                        this.grid[y][x] = Tile.VOID;
-                }
-            }
-        }
-    }
+// Noise ripple colour per noise level: the timer LED colours, white for explosions
+const NOISE_RIPPLE_COLORS = { 1: '#00ff00', 2: '#ffff00', 3: '#ff0000', 4: '#ffffff' };
+const RIPPLE_STEP_MS = 80; // Time for a ripple to advance one tile of path distance
+const RIPPLE_TRAIL = 3; // Rings drawn fading behind a ripple's front
 
-    isValidPosition(pos) {
-        return pos.x >= 0 && pos.x < this.config.gridSize && pos.y >= 0 && pos.y < this.config.gridSize;
-    }
+// Base length in ms of each phase of an animated turn, divided by the resolve speed
+const RESOLVE_PHASE_MS = { tick: 300, turn: 250, step: 220, explode: 500, memory: 400 };
+const RESOLVE_SPEEDS = [0.5, 1, 2, 4];
 
-    isPassable(pos) {
-        if (!this.isValidPosition(pos)) return false;
-        return this.grid[pos.y][pos.x] === Tile.FLOOR;
-    }
+// Frame colours for ordered target groups
+const TARGET_GROUP_COLORS = ['#ffcc00', '#66ddff', '#cc88ff', '#88ff88'];
 
-    isOccupiedByTarget(pos) {
-        return this.targets.some(target => !target.destroyed && target.pos.equals(pos));
-    }
-
-    isOccupiedByGuard(pos) {
-        return this.guards.some(guard => guard.pos.equals(pos));
-    }
-
-    canPlaceBomb(pos) {
-        if (!this.isValidPosition(pos)) return false;
-        if (this.grid[pos.y][pos.x] !== Tile.FLOOR) return false;
-        if (this.isOccupiedByTarget(pos)) return false;
-        if (this.isOccupiedByGuard(pos)) return false;
-        return true;
-    }
-}
-
-// Pathfinding using A*
-class Pathfinder {
-    constructor(level) {
-        this.level = level;
-    }
-
-    // Get path distance between two points (for sound propagation)
-    getPathDistance(start, end) {
-        if (start.equals(end)) return 0;
-
-        const openSet = [{pos: start, g: 0, f: start.manhattanDistance(end)}];
-        const closedSet = new Set();
-        const gScore = new Map();
-        gScore.set(`${start.x},${start.y}`, 0);
-
-        while (openSet.length > 0) {
-            // Sort by f score, then by h, then by y,x for determinism
-            openSet.sort((a, b) => {
-                if (a.f !== b.f) return a.f - b.f;
-                const hA = a.pos.manhattanDistance(end);
-                const hB = b.pos.manhattanDistance(end);
-                if (hA !== hB) return hA - hB;
-                if (a.pos.y !== b.pos.y) return a.pos.y - b.pos.y;
-                return a.pos.x - b.pos.x;
-            });
-
-            const current = openSet.shift();
-            const currentKey = `${current.pos.x},${current.pos.y}`;
-
-            if (current.pos.equals(end)) {
-                return current.g;
-            }
-
-            closedSet.add(currentKey);
-
-            // Check all 4 directions
-            const directions = [{x: 0, y: -1}, {x: 1, y: 0}, {x: 0, y: 1}, {x: -1, y: 0}];
-            
-            for (const dir of directions) {
-                const neighbor = new Vec(current.pos.x + dir.x, current.pos.y + dir.y);
-                const neighborKey = `${neighbor.x},${neighbor.y}`;
-
-                if (!this.level.isPassable(neighbor) || closedSet.has(neighborKey)) {
-                    continue;
-                }
-
-                const tentativeG = current.g + 1;
-                const currentGScore = gScore.get(neighborKey) || Infinity;
-
-                if (tentativeG < currentGScore) {
-                    gScore.set(neighborKey, tentativeG);
-                    const f = tentativeG + neighbor.manhattanDistance(end);
-                    
-                    // Remove existing entry if present
-                    const existingIndex = openSet.findIndex(item => 
-                        item.pos.x === neighbor.x && item.pos.y === neighbor.y);
-                    if (existingIndex >= 0) {
-                        openSet.splice(existingIndex, 1);
-                    }
-                    
-                    openSet.push({pos: neighbor, g: tentativeG, f: f});
-                }
-            }
-        }
-
-        return Infinity; // No path found
-    }
-
-    // Get next step towards target (returns next position or current position if can't move)
-    getNextStep(start, target) {
-        if (start.equals(target)) return start;
-
-        const openSet = [{pos: start, g: 0, f: start.manhattanDistance(target), parent: null}];
-        const closedSet = new Set();
-        const gScore = new Map();
-        gScore.set(`${start.x},${start.y}`, 0);
-
-        while (openSet.length > 0) {
-            openSet.sort((a, b) => {
-                if (a.f !== b.f) return a.f - b.f;
-                const hA = a.pos.manhattanDistance(target);
-                const hB = b.pos.manhattanDistance(target);
-                if (hA !== hB) return hA - hB;
-                if (a.pos.y !== b.pos.y) return a.pos.y - b.pos.y;
-                return a.pos.x - b.pos.x;
-            });
-
-            const current = openSet.shift();
-            const currentKey = `${current.pos.x},${current.pos.y}`;
-
-            if (current.pos.equals(target)) {
-                // Reconstruct path to find first step
-                let pathNode = current;
-                while (pathNode.parent && !pathNode.parent.pos.equals(start)) {
-                    pathNode = pathNode.parent;
-                }
-                return pathNode.pos;
-            }
-
-            closedSet.add(currentKey);
-
-            const directions = [{x: 0, y: -1}, {x: 1, y: 0}, {x: 0, y: 1}, {x: -1, y: 0}];
-            
-            for (const dir of directions) {
-                const neighbor = new Vec(current.pos.x + dir.x, current.pos.y + dir.y);
-                const neighborKey = `${neighbor.x},${neighbor.y}`;
-
-                if (!this.level.isPassable(neighbor) || closedSet.has(neighborKey)) {
-                    continue;
-                }
-
-                const tentativeG = current.g + 1;
-                const currentGScore = gScore.get(neighborKey) || Infinity;
-
-                if (tentativeG < currentGScore) {
-                    gScore.set(neighborKey, tentativeG);
-                    const f = tentativeG + neighbor.manhattanDistance(target);
-                    
-                    const existingIndex = openSet.findIndex(item => 
-                        item.pos.x === neighbor.x && item.pos.y === neighbor.y);
-                    if (existingIndex >= 0) {
-                        openSet.splice(existingIndex, 1);
-                    }
-                    
-                    openSet.push({pos: neighbor, g: tentativeG, f: f, parent: current});
-                }
-            }
-        }
-
-        return start; // No path found, stay in place
-    }
-}
+// Bomb body colour per charge kind
+const BOMB_BODY_COLORS = {
+    [BombKind.STANDARD]: '#333',
+    [BombKind.SHAPED]: '#4a3a2a',
+    [BombKind.SMOKE]: '#777',
+    [BombKind.FLASHBANG]: '#d8d8d8'
+};
 
 // Main Game class
 class Game {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.level = null;
-        this.bombs = [];
-        this.turnIndex = 0;
-        this.gameState = GameState.PLAYING;
-        this.pathfinder = null;
-        this.gameHistory = []; // For undo functionality
-        this.bombIdCounter = 0;
+        this.state = null; // Simulation state (see simulation.js)
+        this.gameHistory = []; // For undo functionality; last entry is the current state
+        this.redoStack = []; // States popped by undo, most recent last
         this.currentGridSize = DEFAULT_CONFIG.gridSize;
-        this.currentTileSize = CANVAS_SIZE / this.currentGridSize;
+        this.currentTileSize = CANVAS_SIZE / this.currentGridSize; // Camera zoom, screen pixels per tile
+        this.camera = { x: 0, y: 0 }; // Screen position of the grid's top-left corner
+        this.pointers = new Map(); // Pointers held down on the canvas by id, for panning and pinching
+        this.cameraDrag = null; // {start, moved} for the press being dragged, kept until its click
         this.currentLevelIndex = 0;
         this.mousePos = new Vec(-1, -1); // Mouse position in grid coordinates
         this.showBombPreview = false;
+        this.selectedItem = PlayerItem.BOMB;
+        this.chargeDirection = 0; // Facing for the next shaped charge, index into DIRECTIONS
         this.levels = []; // Will be loaded from JSON files
         this.explosions = []; // Active explosion animations
+        this.radioPulses = []; // Active radio alert animations between guards
+        this.noiseRipples = []; // Sounds of the last turn spreading along their BFS distance field
+        this.showForecast = false; // Preview what End Turn would do
+        this.forecast = null; // Last forecast dry run {input, before, state, events, rejected}, reused while its input holds
+        this.showNoiseDebug = new URLSearchParams(window.location.search).has('debugNoise'); // Loop ripples until the next turn
         this.animationLoopActive = false;
-        this.gameOverFade = null; // Red fade animation
+        this.gameOverFade = null; // Losing freeze-frame {startTime, duration, kills}, held until retry or undo
+        this.autoAdvanceTimer = null; // Pending move to the next level after a win
         this.autoTurnTimer = null; // Timer for automatic turn progression
+        this.resolution = null; // Turn being animated {before, view, after, tracks, timeline, startTime}
+        this.resolveSpeed = 1; // One of RESOLVE_SPEEDS
+        this.fastResolve = false; // Apply turns in one frame instead of animating them
+        this.replay = null; // Action log for the current attempt (see createReplay)
+        this.playback = null; // {replay, index, timer} while a replay is being played back
         
         this.setupEventListeners();
         this.loadLevels(); // Load levels from JSON files
     }
 
+    // Shortcuts into the current simulation state, used throughout rendering. While a turn
+    // is animated, level, bombs and noisemakers show its starting state until the bombs go off.
+    get level() {
+        const shown = this.shownState;
+        return shown ? shown.level : null;
+    }
+
+    get bombs() {
+        const shown = this.shownState;
+        return shown ? shown.bombs : [];
+    }
+
+    get noisemakers() {
+        const shown = this.shownState;
+        return shown ? shown.noisemakers : [];
+    }
+
+    get shownState() {
+        if (this.resolution && Date.now() - this.resolution.startTime < this.resolution.timeline.explodeAt) {
+            return this.resolution.view;
+        }
+        return this.state;
+    }
+
+    get turnIndex() {
+        return this.state ? this.state.turnIndex : 0;
+    }
+
+    get gameState() {
+        return this.state ? this.state.gameState : GameState.PLAYING;
+    }
+
     setupEventListeners() {
         this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+        this.canvas.addEventListener('contextmenu', (e) => this.handleCanvasRightClick(e));
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseenter', (e) => this.handleMouseEnter(e));
         this.canvas.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
-        document.getElementById('endTurnButton').addEventListener('click', () => this.endTurn());
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.pointers.delete(e.pointerId));
+        this.canvas.addEventListener('pointercancel', (e) => this.pointers.delete(e.pointerId));
+        document.getElementById('endTurnButton').addEventListener('click', () => {
+            if (!this.isInputLocked()) this.endTurn();
+        });
+        document.getElementById('undoButton').addEventListener('click', () => {
+            if (!this.isInputLocked()) this.undo();
+        });
+        document.getElementById('retryButton').addEventListener('click', () => {
+            this.restartLevel();
+        });
+        document.getElementById('redoButton').addEventListener('click', () => {
+            if (!this.isInputLocked()) this.redo();
+        });
+        for (const item of Object.values(PlayerItem)) {
+            document.getElementById(`${item}ItemButton`).addEventListener('click', () => this.selectItem(item));
+        }
+        document.getElementById('forecastButton').addEventListener('click', () => this.toggleForecast());
+        document.getElementById('resolveSpeedButton').addEventListener('click', () => this.cycleResolveSpeed());
+        document.getElementById('fastResolveButton').addEventListener('click', () => this.toggleFastResolve());
         document.getElementById('nextLevelButton').addEventListener('click', () => this.nextLevel());
         document.getElementById('prevLevelButton').addEventListener('click', () => this.prevLevel());
         
+        // Replay controls
+        document.getElementById('replayPlayButton').addEventListener('click', () => this.togglePlayback());
+        document.getElementById('replayStepButton').addEventListener('click', () => this.stepPlayback());
+        document.getElementById('replayExportButton').addEventListener('click', () => this.exportReplay());
+        document.getElementById('replayImportButton').addEventListener('click', () => {
+            document.getElementById('replayFileInput').click();
+        });
+        document.getElementById('replayFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importReplay(file);
+            e.target.value = '';
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // View keys work while a replay plays
+            if (e.code === 'KeyF' && !e.ctrlKey && !e.metaKey) {
+                this.fitCamera();
+                this.render();
+                return;
+            }
+            if (e.code === 'Backquote') {
+                this.toggleNoiseDebug();
+                return;
+            }
+            if (this.isInputLocked()) return;
+            
             if (e.code === 'Space') {
                 e.preventDefault();
                 this.endTurn();
+            } else if (e.code === 'KeyZ' && (e.ctrlKey || e.metaKey) && e.shiftKey) {
+                e.preventDefault();
+                this.redo();
             } else if (e.code === 'KeyZ' && (e.ctrlKey || e.metaKey)) {
                 e.preventDefault();
                 this.undo();
+            } else if (e.code === 'KeyY' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.redo();
+            } else if (e.code === 'KeyN') {
+                this.selectNextItem();
+            } else if (e.code === 'KeyT') {
+                this.toggleForecast();
+            } else if (e.code === 'Enter' && this.gameState === GameState.LOST) {
+                this.restartLevel();
+            } else if (e.code === 'KeyR') {
+                // Turn the shaped charge under the mouse, or the facing of the next one
+                if (!this.rotateShapedCharge(this.mousePos)) {
+                    this.chargeDirection = (this.chargeDirection + 1) % DIRECTIONS.length;
+                    this.render();
+                }
             }
         });
     }
 
+    // Player input is ignored while a replay drives the game or a turn is being animated
+    isInputLocked() {
+        return this.playback !== null || this.resolution !== null;
+    }
+
     loadLevel(levelData, levelIndex = 0) {
-        this.level = new Level(levelData);
-        this.pathfinder = new Pathfinder(this.level);
-        this.bombs = [];
-        this.turnIndex = 0;
-        this.gameState = GameState.PLAYING;
+        this.state = createState(levelData);
         this.gameHistory = [];
-        this.bombIdCounter = 0;
+        this.redoStack = [];
+        this.replay = createReplay(levelData);
+        this.cancelTurnEffects();
+        this.selectedItem = PlayerItem.BOMB;
+        this.chargeDirection = 0;
         this.currentLevelIndex = levelIndex;
         
-        // Update grid size and tile size for this level
+        // Update grid size for this level and frame its bounds
         this.currentGridSize = Math.min(this.level.config.gridSize || DEFAULT_CONFIG.gridSize, MAX_GRID_SIZE);
-        this.currentTileSize = CANVAS_SIZE / this.currentGridSize;
+        this.fitCamera();
         
         this.updateUI();
         this.render();
@@ -416,12 +231,14 @@ class Game {
     }
 
     restartLevel() {
+        this.stopPlayback();
         if (this.level && this.levels.length > this.currentLevelIndex) {
             this.loadLevel(this.levels[this.currentLevelIndex], this.currentLevelIndex);
         }
     }
 
     nextLevel() {
+        this.stopPlayback();
         if (this.currentLevelIndex < this.levels.length - 1) {
             this.currentLevelIndex++;
             this.loadLevel(this.levels[this.currentLevelIndex], this.currentLevelIndex);
@@ -429,6 +246,7 @@ class Game {
     }
 
     prevLevel() {
+        this.stopPlayback();
         if (this.currentLevelIndex > 0) {
             this.currentLevelIndex--;
             this.loadLevel(this.levels[this.currentLevelIndex], this.currentLevelIndex);
@@ -501,6 +319,7 @@ class Game {
                 gridSize: 16,
                 timersAllowed: false,
                 blastRange: 3,
+                blastShape: 'cross',
                 maxActiveBombs: 4,
                 maxBombsPerTurn: 1,
                 defaultHearingRadius: 8,
@@ -531,41 +350,232 @@ class Game {
         this.loadLevel(this.levels[0], 0);
     }
 
+    // Pointer position in canvas pixels
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    pointToGridPos(point) {
+        const x = Math.floor((point.x - this.camera.x) / this.currentTileSize);
+        const y = Math.floor((point.y - this.camera.y) / this.currentTileSize);
+        return new Vec(x, y);
+    }
+
+    eventToGridPos(e) {
+        return this.pointToGridPos(this.canvasPoint(e));
+    }
+
+    // Frame the level's bounds, or the whole grid without them, centred in the canvas
+    fitCamera() {
+        const area = this.level.bounds || { x: 0, y: 0, w: this.currentGridSize, h: this.currentGridSize };
+        this.currentTileSize = Math.min(MAX_TILE_SIZE, Math.max(MIN_TILE_SIZE, CANVAS_SIZE / Math.max(area.w, area.h)));
+        this.camera.x = CANVAS_SIZE / 2 - (area.x + area.w / 2) * this.currentTileSize;
+        this.camera.y = CANVAS_SIZE / 2 - (area.y + area.h / 2) * this.currentTileSize;
+        this.clampCamera();
+    }
+
+    // Keep the middle of the canvas over the grid so it can't be lost off screen
+    clampCamera() {
+        const size = this.currentGridSize * this.currentTileSize;
+        this.camera.x = Math.min(CANVAS_SIZE / 2, Math.max(CANVAS_SIZE / 2 - size, this.camera.x));
+        this.camera.y = Math.min(CANVAS_SIZE / 2, Math.max(CANVAS_SIZE / 2 - size, this.camera.y));
+    }
+
+    // Zoom by factor, keeping the grid point under the given canvas point in place
+    zoomCamera(factor, point) {
+        const tileSize = Math.min(MAX_TILE_SIZE, Math.max(MIN_TILE_SIZE, this.currentTileSize * factor));
+        const scale = tileSize / this.currentTileSize;
+        this.camera.x = point.x - (point.x - this.camera.x) * scale;
+        this.camera.y = point.y - (point.y - this.camera.y) * scale;
+        this.currentTileSize = tileSize;
+        this.clampCamera();
+    }
+
+    // The board moved under the pointer, so the hovered tile may have changed
+    handleCameraMoved(point) {
+        this.mousePos = this.pointToGridPos(point);
+        if (this.gameState === GameState.PLAYING) {
+            this.updatePlacementPreview();
+        }
+        this.render();
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        // Trackpad pinches arrive as ctrl+wheel with fine deltas; mouse wheels zoom a notch at a time
+        const factor = e.ctrlKey ? Math.exp(-e.deltaY * 0.01) :
+            e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP;
+        const point = this.canvasPoint(e);
+        this.zoomCamera(factor, point);
+        this.handleCameraMoved(point);
+    }
+
+    handlePointerDown(e) {
+        const point = this.canvasPoint(e);
+        this.pointers.set(e.pointerId, point);
+        if (this.pointers.size === 1) {
+            this.cameraDrag = { start: point, moved: false };
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    // One pointer dragged past the threshold pans; two pointers pinch-zoom about their midpoint
+    handlePointerMove(e) {
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous || !this.cameraDrag) return;
+
+        const point = this.canvasPoint(e);
+        const drag = this.cameraDrag;
+        if (this.pointers.size >= 2) {
+            const other = [...this.pointers].find(([id]) => id !== e.pointerId)[1];
+            const midBefore = { x: (previous.x + other.x) / 2, y: (previous.y + other.y) / 2 };
+            const midAfter = { x: (point.x + other.x) / 2, y: (point.y + other.y) / 2 };
+            const spreadBefore = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const spreadAfter = Math.hypot(point.x - other.x, point.y - other.y);
+
+            drag.moved = true;
+            this.camera.x += midAfter.x - midBefore.x;
+            this.camera.y += midAfter.y - midBefore.y;
+            if (spreadBefore > 0) {
+                this.zoomCamera(spreadAfter / spreadBefore, midAfter);
+            }
+            this.clampCamera();
+            this.handleCameraMoved(midAfter);
+        } else if (drag.moved || Math.hypot(point.x - drag.start.x, point.y - drag.start.y) >= DRAG_THRESHOLD) {
+            drag.moved = true;
+            this.camera.x += point.x - previous.x;
+            this.camera.y += point.y - previous.y;
+            this.clampCamera();
+            this.handleCameraMoved(point);
+        }
+        this.pointers.set(e.pointerId, point);
+    }
+
+    // A press that panned or pinched ends without clicking the tile under it
+    consumeCameraDrag() {
+        const dragged = this.cameraDrag !== null && this.cameraDrag.moved;
+        this.cameraDrag = null;
+        return dragged;
+    }
+
     handleCanvasClick(e) {
-        if (this.gameState !== GameState.PLAYING) return;
+        if (this.consumeCameraDrag()) return;
+        if (this.resolution) {
+            this.skipResolution();
+            return;
+        }
+        if (this.gameState !== GameState.PLAYING || this.isInputLocked()) return;
 
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.currentTileSize);
-        const y = Math.floor((e.clientY - rect.top) / this.currentTileSize);
-        const clickPos = new Vec(x, y);
+        const clickPos = this.eventToGridPos(e);
+
+        // Shift-click turns a shaped charge
+        if (e.shiftKey && this.rotateShapedCharge(clickPos)) return;
 
         // Check if clicking on existing bomb to cycle timer (Level 3 only)
-        if (this.level.config.timersAllowed) {
-            const existingBomb = this.bombs.find(bomb => bomb.pos.equals(clickPos));
-            if (existingBomb && existingBomb.hasTimer) {
-                existingBomb.cycleTimer();
-                this.render();
-                return;
-            }
+        if (this.cycleBombTimer(clickPos)) return;
+
+        // Try to place the selected item
+        if (this.selectedItem === PlayerItem.NOISEMAKER) {
+            this.placeNoisemaker(clickPos);
+        } else {
+            this.placeBomb(clickPos, this.getSelectedKind(), this.chargeDirection);
+        }
+    }
+
+    // Right click always places a noisemaker, whichever item is selected
+    handleCanvasRightClick(e) {
+        e.preventDefault();
+        if (this.consumeCameraDrag()) return;
+        if (this.gameState !== GameState.PLAYING || this.isInputLocked()) return;
+        this.placeNoisemaker(this.eventToGridPos(e));
+    }
+
+    getSelectedKind() {
+        return this.selectedItem === PlayerItem.BOMB ? BombKind.STANDARD : this.selectedItem;
+    }
+
+    // {total, left} for items with a per-level budget, null for unlimited standard bombs
+    getItemBudget(item) {
+        if (!this.state || item === PlayerItem.BOMB) return null;
+        const config = this.level.config;
+        if (item === PlayerItem.NOISEMAKER) {
+            return { total: config.noisemakers, left: config.noisemakers - this.state.noisemakersUsed };
         }
+        return { total: config.charges[item] || 0, left: getChargesLeft(this.state, item) };
+    }
+
+    selectItem(item) {
+        if (this.isInputLocked()) return;
+        const budget = this.getItemBudget(item);
+        if (budget && budget.total === 0) return;
+        this.selectedItem = item;
+        this.updatePlacementPreview();
+        this.updateUI();
+        this.render();
+    }
 
-        // Try to place a new bomb
-        this.placeBomb(clickPos);
+    // Cycle through the items this level offers
+    selectNextItem() {
+        const items = Object.values(PlayerItem).filter(item => {
+            const budget = this.getItemBudget(item);
+            return !budget || budget.total > 0;
+        });
+        this.selectItem(items[(items.indexOf(this.selectedItem) + 1) % items.length]);
     }
 
-    placeBomb(pos) {
-        if (!this.level.canPlaceBomb(pos)) return false;
+    placeBomb(pos, kind = BombKind.STANDARD, direction = 0) {
+        const result = placeBomb(this.state, pos, kind, direction);
+        if (result.state === this.state) return false;
+        this.state = result.state;
+        this.saveGameState();
+        this.recordAction(kind === BombKind.STANDARD ?
+            [ReplayAction.PLACE, pos.x, pos.y] :
+            [ReplayAction.PLACE, pos.x, pos.y, kind, direction]);
+
+        this.updateUI();
+        this.render();
         
-        // Check bomb limits
-        if (this.bombs.length >= this.level.config.maxActiveBombs) return false;
+        // On levels where being seen fails, a bomb placed in a sight cone ends the level
+        if (this.gameState === GameState.LOST) {
+            this.startGameOverFade();
+        }
+        return true;
+    }
+
+    placeNoisemaker(pos) {
+        const result = placeNoisemaker(this.state, pos);
+        if (result.state === this.state) return false;
+        this.state = result.state;
+        this.saveGameState();
+        this.recordAction([ReplayAction.NOISE, pos.x, pos.y]);
 
-        const bombsThisTurn = this.bombs.filter(bomb => bomb.turnPlaced === this.turnIndex).length;
-        if (bombsThisTurn >= this.level.config.maxBombsPerTurn) return false;
+        this.updatePlacementPreview();
+        this.updateUI();
+        this.render();
+        return true;
+    }
 
-        // Create new bomb
-        const bomb = new Bomb(this.bombIdCounter++, pos, this.level.config.timersAllowed);
-        bomb.turnPlaced = this.turnIndex;
-        this.bombs.push(bomb);
+    // Input handlers check the lock; replays call this directly
+    rotateShapedCharge(pos) {
+        if (this.gameState !== GameState.PLAYING) return false;
+        const result = rotateCharge(this.state, pos);
+        if (result.state === this.state) return false;
+        this.state = result.state;
+        this.saveGameState();
+        this.recordAction([ReplayAction.ROTATE, pos.x, pos.y]);
+
+        this.updateUI();
+        this.render();
+        return true;
+    }
+
+    cycleBombTimer(pos) {
+        const result = cycleTimer(this.state, pos);
+        if (result.state === this.state) return false;
+        this.state = result.state;
+        this.saveGameState();
+        this.recordAction([ReplayAction.CYCLE, pos.x, pos.y]);
 
         this.updateUI();
         this.render();
@@ -577,14 +587,25 @@ class Game {
         this.animationLoopActive = true;
         
         const animate = () => {
-            // Remove expired explosions
+            // Remove expired explosions, radio pulses and ripples (which loop in noise debug)
             const now = Date.now();
+            if (this.resolution) {
+                const elapsed = now - this.resolution.startTime;
+                if (elapsed >= this.resolution.timeline.end) {
+                    this.finishResolution();
+                } else {
+                    this.updateResolutionView(elapsed);
+                }
+            }
             this.explosions = this.explosions.filter(explosion => 
                 now - explosion.startTime < explosion.duration
             );
+            this.radioPulses = this.radioPulses.filter(pulse => now - pulse.startTime < pulse.duration);
+            this.noiseRipples = this.noiseRipples.filter(ripple =>
+                this.showNoiseDebug || now - ripple.startTime < ripple.duration);
             
-            // Continue animation if there are still explosions
-            if (this.explosions.length > 0) {
+            // Continue animation while any is still playing
+            if (this.hasActiveEffects()) {
                 this.render();
                 requestAnimationFrame(animate);
             } else {
@@ -595,6 +616,187 @@ class Game {
         requestAnimationFrame(animate);
     }
 
+    hasActiveEffects() {
+        return this.explosions.length > 0 || this.radioPulses.length > 0 || this.noiseRipples.length > 0 ||
+            this.isGameOverAnimating() || this.resolution !== null;
+    }
+
+    // A losing frame only needs redrawing while it fades in and its victims pulse
+    isGameOverAnimating() {
+        return this.gameOverFade !== null && Date.now() - this.gameOverFade.startTime < this.gameOverFade.pulseDuration;
+    }
+
+    toggleForecast() {
+        this.showForecast = !this.showForecast;
+        this.updateUI();
+        this.render();
+    }
+
+    // Dry run of End Turn on the current state, doing what a click on the hovered tile would
+    // do first, so hovering shows where it leads: on a bomb whose timer can be cycled that is
+    // the cycled timer, elsewhere the placement. A placement that is refused or loses the
+    // level on the spot is marked rejected and the turn is forecast without it.
+    // The simulation only works on copies; the result is kept until the state, the hovered
+    // tile or the selected item changes.
+    getForecast() {
+        const hovered = this.level.isValidPosition(this.mousePos) ? this.mousePos.clone() : null;
+        const input = { state: this.state, hovered, item: this.selectedItem, direction: this.chargeDirection };
+        const last = this.forecast;
+        if (last && last.input.state === input.state && last.input.item === input.item &&
+            last.input.direction === input.direction &&
+            (hovered ? last.input.hovered && hovered.equals(last.input.hovered) : !last.input.hovered)) {
+            return last;
+        }
+
+        let before = this.state;
+        let rejected = false;
+        const cycled = hovered ? cycleTimer(before, hovered).state : before;
+        if (cycled !== before) {
+            before = cycled;
+        } else if (hovered) {
+            const placed = (this.selectedItem === PlayerItem.NOISEMAKER ?
+                placeNoisemaker(before, hovered) :
+                placeBomb(before, hovered, this.getSelectedKind(), this.chargeDirection)).state;
+            rejected = placed === before || placed.gameState !== GameState.PLAYING;
+            if (!rejected) before = placed;
+        }
+        const { state, events } = endTurn(before);
+        this.forecast = { input, before, state, events, rejected };
+        return this.forecast;
+    }
+
+    // Forecast overlay: dashed blast tiles for the bombs going off, an arrow from each guard
+    // to the sound it will chase, a ghost where it ends the turn and a red flag if it dies.
+    // A rejected hovered placement gets a no-entry sign so it isn't mistaken for a quiet turn.
+    renderForecast() {
+        if (!this.showForecast || this.gameState !== GameState.PLAYING || this.isInputLocked()) return;
+
+        const { input, before, state, events, rejected } = this.getForecast();
+        const tileSize = this.currentTileSize;
+        const center = pos => [pos.x * tileSize + tileSize / 2, pos.y * tileSize + tileSize / 2];
+
+        if (rejected) {
+            const [x, y] = center(input.hovered);
+            const radius = tileSize * 0.32;
+            this.ctx.strokeStyle = 'rgba(255, 60, 60, 0.9)';
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.moveTo(x - radius * 0.7, y - radius * 0.7);
+            this.ctx.lineTo(x + radius * 0.7, y + radius * 0.7);
+            this.ctx.stroke();
+        }
+
+        this.ctx.strokeStyle = 'rgba(255, 120, 40, 0.9)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([4, 3]);
+        for (const event of events) {
+            if (event.type !== SimEvent.EXPLOSION) continue;
+            for (const tile of event.blastTiles) {
+                this.ctx.strokeRect(tile.x * tileSize + 2, tile.y * tileSize + 2, tileSize - 4, tileSize - 4);
+            }
+        }
+        this.ctx.setLineDash([]);
+
+        const finalPositions = new Map(before.level.guards.map(guard => [guard.id, guard.pos]));
+        const killed = new Set();
+        for (const event of events) {
+            if (event.type === SimEvent.GUARD_MOVED) finalPositions.set(event.guardId, event.to);
+            if (event.type === SimEvent.GUARD_KILLED) killed.add(event.guardId);
+        }
+
+        for (const guard of before.level.guards) {
+            const next = state.level.guards.find(other => other.id === guard.id);
+            const finalPos = finalPositions.get(guard.id);
+
+            if (next && next.alertState === GuardAlert.ALERTED && next.targetPos && !next.targetPos.equals(guard.pos)) {
+                this.renderForecastArrow(center(guard.pos), center(next.targetPos));
+            }
+
+            if (!finalPos.equals(guard.pos)) {
+                this.ctx.globalAlpha = 0.35;
+                this.renderGuardSilhouette(next || guard, ...center(finalPos), tileSize * 0.3);
+                this.ctx.globalAlpha = 1;
+            }
+
+            if (killed.has(guard.id)) {
+                const flagX = finalPos.x * tileSize + tileSize * 0.3;
+                const flagY = finalPos.y * tileSize + tileSize * 0.15;
+                this.ctx.strokeStyle = '#ffffff';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(flagX, flagY + tileSize * 0.7);
+                this.ctx.lineTo(flagX, flagY);
+                this.ctx.stroke();
+                this.ctx.fillStyle = '#ff2222';
+                this.ctx.beginPath();
+                this.ctx.moveTo(flagX, flagY);
+                this.ctx.lineTo(flagX + tileSize * 0.45, flagY + tileSize * 0.13);
+                this.ctx.lineTo(flagX, flagY + tileSize * 0.27);
+                this.ctx.closePath();
+                this.ctx.fill();
+            }
+        }
+    }
+
+    renderForecastArrow([fromX, fromY], [toX, toY]) {
+        const angle = Math.atan2(toY - fromY, toX - fromX);
+        const head = this.currentTileSize * 0.25;
+
+        this.ctx.strokeStyle = 'rgba(255, 136, 68, 0.8)';
+        this.ctx.fillStyle = 'rgba(255, 136, 68, 0.8)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(fromX, fromY);
+        this.ctx.lineTo(toX, toY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(toX, toY);
+        this.ctx.lineTo(toX - head * Math.cos(angle - 0.4), toY - head * Math.sin(angle - 0.4));
+        this.ctx.lineTo(toX - head * Math.cos(angle + 0.4), toY - head * Math.sin(angle + 0.4));
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
+    toggleNoiseDebug() {
+        this.showNoiseDebug = !this.showNoiseDebug;
+        if (this.showNoiseDebug && this.noiseRipples.length > 0) {
+            this.startAnimationLoop();
+        }
+        this.render();
+    }
+
+    // Each ripple lights the tiles at its front's path distance from the source, trailing
+    // fainter rings, so it runs along corridors and stops at walls like the sound itself.
+    // Louder sounds draw stronger ripples.
+    renderNoiseRipples() {
+        const now = Date.now();
+        const tileSize = this.currentTileSize;
+
+        for (const ripple of this.noiseRipples) {
+            let elapsed = now - ripple.startTime;
+            if (elapsed < 0) continue;
+            if (this.showNoiseDebug) elapsed %= ripple.duration;
+
+            const front = Math.floor(elapsed / RIPPLE_STEP_MS);
+            const strength = 0.2 + 0.15 * ripple.level;
+            this.ctx.fillStyle = NOISE_RIPPLE_COLORS[ripple.level];
+            for (let index = 0; index < ripple.field.length; index++) {
+                const age = front - ripple.field[index];
+                if (ripple.field[index] === -1 || age < 0 || age >= RIPPLE_TRAIL) continue;
+
+                const x = index % ripple.size;
+                const y = Math.floor(index / ripple.size);
+                this.ctx.globalAlpha = strength * (1 - age / RIPPLE_TRAIL);
+                this.ctx.fillRect(x * tileSize + 1, y * tileSize + 1, tileSize - 2, tileSize - 2);
+            }
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
     renderExplosions() {
         if (this.explosions.length === 0) return;
         
@@ -603,8 +805,20 @@ class Game {
         
         for (const explosion of this.explosions) {
             const elapsed = now - explosion.startTime;
+            if (elapsed < 0) continue; // Chained explosion still waiting its turn
+            
             const progress = Math.min(elapsed / explosion.duration, 1);
             
+            // Smoke charges only billow; flashbangs only flash
+            if (explosion.kind === BombKind.SMOKE) {
+                this.renderExplosionSmoke(explosion, progress);
+                continue;
+            }
+            if (explosion.kind === BombKind.FLASHBANG) {
+                this.renderExplosionFlash(explosion, progress);
+                continue;
+            }
+            
             // Animation phases
             if (progress < 0.3) {
                 // Expanding flash phase
@@ -621,19 +835,70 @@ class Game {
         this.ctx.globalAlpha = originalAlpha;
     }
 
+    // A dashed link from caller to receiver with a dot running along it, then a ring
+    // opening around the receiver
+    renderRadioPulses() {
+        if (this.radioPulses.length === 0) return;
+        
+        const now = Date.now();
+        const center = pos => [
+            pos.x * this.currentTileSize + this.currentTileSize / 2,
+            pos.y * this.currentTileSize + this.currentTileSize / 2
+        ];
+        const originalAlpha = this.ctx.globalAlpha;
+        
+        for (const pulse of this.radioPulses) {
+            const elapsed = now - pulse.startTime;
+            if (elapsed < 0) continue;
+            
+            const progress = Math.min(elapsed / pulse.duration, 1);
+            const [fromX, fromY] = center(pulse.from);
+            const [toX, toY] = center(pulse.to);
+            
+            this.ctx.globalAlpha = 0.8 * (1 - progress);
+            this.ctx.strokeStyle = '#66ffcc';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(fromX, fromY);
+            this.ctx.lineTo(toX, toY);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            const travel = Math.min(progress * 2, 1);
+            this.ctx.fillStyle = '#66ffcc';
+            this.ctx.beginPath();
+            this.ctx.arc(fromX + (toX - fromX) * travel, fromY + (toY - fromY) * travel, this.currentTileSize * 0.15, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            if (progress > 0.5) {
+                this.ctx.beginPath();
+                this.ctx.arc(toX, toY, this.currentTileSize * (0.4 + (progress - 0.5) * 2), 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        }
+        
+        this.ctx.globalAlpha = originalAlpha;
+    }
+
     renderExplosionFlash(explosion, progress) {
-        // White expanding flash
+        // White flash spreading outward over the blast tiles, so it follows the blast shape
         this.ctx.globalAlpha = 0.9 * (1 - progress * 0.5);
         this.ctx.fillStyle = '#ffffff';
         
-        const centerX = explosion.pos.x * this.currentTileSize + this.currentTileSize / 2;
-        const centerY = explosion.pos.y * this.currentTileSize + this.currentTileSize / 2;
-        const maxRadius = this.currentTileSize * 2;
-        const radius = progress * maxRadius;
+        const maxDistance = Math.max(1, ...explosion.blastTiles.map(tile => tile.manhattanDistance(explosion.pos)));
+        const reach = progress * maxDistance;
         
-        this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-        this.ctx.fill();
+        for (const tile of explosion.blastTiles) {
+            if (tile.manhattanDistance(explosion.pos) > reach) continue;
+            
+            this.ctx.fillRect(
+                tile.x * this.currentTileSize,
+                tile.y * this.currentTileSize,
+                this.currentTileSize,
+                this.currentTileSize
+            );
+        }
     }
 
     renderExplosionBright(explosion, progress) {
@@ -705,297 +970,411 @@ class Game {
             this.autoTurnTimer = null;
         }
 
-        this.simulateTurn();
+        // A replay may end the next turn before the last one finished animating
+        this.skipResolution();
+
+        const before = this.state;
+        const result = endTurn(this.state);
+        const timeline = this.fastResolve ? null : this.buildTimeline(result.events);
+        this.state = result.state;
+        this.saveGameState();
+        this.recordAction([ReplayAction.END_TURN]);
+        this.handleTurnEvents(result.events, timeline);
+        if (timeline && timeline.end > 0) {
+            this.startResolution(before, result.events, timeline);
+        }
         this.updateUI();
         this.render();
         
-        // Start animation loop if there are active explosions
-        if (this.explosions.length > 0) {
+        // Start animation loop if there are active explosions, radio pulses or ripples
+        if (this.hasActiveEffects()) {
             this.startAnimationLoop();
         }
         
-        // Handle game over
+        // Handle game over once the turn has played out
         if (this.gameState === GameState.LOST) {
-            this.startGameOverFade();
+            this.startGameOverFade(this.getKills(result.events), timeline ? timeline.end : 0);
         }
     }
 
-    simulateTurn() {
-        this.turnIndex++;
+    // When each phase of an animated turn starts, in ms after End Turn: bombs tick, guards
+    // turn toward what they heard, step tile by tile, then the bombs go off and guards
+    // update their memories. Phases where nothing happens take no time.
+    buildTimeline(events) {
+        const has = type => events.some(event => event.type === type);
+        const scale = ms => ms / this.resolveSpeed;
+        const steps = events
+            .filter(event => event.type === SimEvent.GUARD_MOVED)
+            .reduce((count, event) => Math.max(count, event.step + 1), 0);
+
+        const turnAt = has(SimEvent.BOMB_TICKED) || has(SimEvent.NOISE) ? scale(RESOLVE_PHASE_MS.tick) : 0;
+        const moveAt = turnAt + (has(SimEvent.ALERT_CHANGED) ? scale(RESOLVE_PHASE_MS.turn) : 0);
+        const stepMs = scale(RESOLVE_PHASE_MS.step);
+        const explodeAt = moveAt + steps * stepMs;
+        const memoryAt = explodeAt + (has(SimEvent.EXPLOSION) ? scale(RESOLVE_PHASE_MS.explode) : 0);
+        const end = memoryAt + (has(SimEvent.MEMORY_UPDATED) || has(SimEvent.RADIO_ALERT) ? scale(RESOLVE_PHASE_MS.memory) : 0);
+        return { turnAt, moveAt, stepMs, explodeAt, memoryAt, end };
+    }
+
+    // The turn is already resolved; the animation replays it on a private copy of the
+    // starting state whose guards are moved along their steps each frame
+    startResolution(before, events, timeline) {
+        const tracks = new Map(before.level.guards.map(guard => [guard.id, []]));
+        for (const event of events) {
+            if (event.type === SimEvent.GUARD_MOVED) tracks.get(event.guardId).push(event);
+        }
 
-        // Phase 1: Tick bombs and collect noise sources
-        const tickingSources = [];
-        const explodingSources = [];
+        this.resolution = {
+            view: cloneState(before),
+            after: this.state,
+            tracks,
+            ticking: events
+                .filter(event => event.type === SimEvent.BOMB_TICKED)
+                .map(event => before.bombs.find(bomb => bomb.id === event.bombId).pos),
+            pings: events.filter(event => event.type === SimEvent.MEMORY_UPDATED).map(event => event.pos),
+            timeline,
+            startTime: Date.now()
+        };
+        this.showBombPreview = false;
+    }
 
-        for (const bomb of this.bombs) {
-            if (this.level.config.timersAllowed && bomb.hasTimer) {
-                if (bomb.timer > 1) {
-                    bomb.timer--;
-                    tickingSources.push({pos: bomb.pos, level: bomb.getNoiseLevel()});
-                } else { // timer === 1
-                    tickingSources.push({pos: bomb.pos, level: bomb.getNoiseLevel()});
-                    bomb.state = BombState.EXPLODING;
-                    explodingSources.push({pos: bomb.pos, level: 4});
+    // Move the animated guards to where they are at this point of the timeline
+    updateResolutionView(elapsed) {
+        const { view, after, tracks, timeline } = this.resolution;
+
+        for (const guard of view.level.guards) {
+            const next = after.level.guards.find(other => other.id === guard.id);
+            const moves = tracks.get(guard.id);
+            let x = moves.length > 0 ? moves[0].from.x : guard.pos.x;
+            let y = moves.length > 0 ? moves[0].from.y : guard.pos.y;
+            let heading = moves.length > 0 ? moves[0] : null;
+
+            for (const move of moves) {
+                const progress = Math.min(1, (elapsed - timeline.moveAt - move.step * timeline.stepMs) / timeline.stepMs);
+                if (progress <= 0) break;
+                x = move.from.x + (move.to.x - move.from.x) * progress;
+                y = move.from.y + (move.to.y - move.from.y) * progress;
+                heading = move;
+            }
+            guard.pos = new Vec(x, y);
+
+            // Guards turn toward what they heard before setting off
+            if (next && elapsed >= timeline.turnAt) {
+                guard.alertState = next.alertState;
+                guard.targetPos = next.targetPos;
+                guard.asleep = next.asleep;
+                if (guard.facing !== null && heading) {
+                    guard.facing = DIRECTIONS.findIndex(dir =>
+                        dir.x === heading.to.x - heading.from.x && dir.y === heading.to.y - heading.from.y);
                 }
-            } else {
-                // No timers - bomb explodes immediately next turn
-                bomb.state = BombState.EXPLODING;
-                explodingSources.push({pos: bomb.pos, level: 4});
             }
         }
+    }
 
-        // Phase 2: Guard target selection and movement
-        const proposals = new Map();
-        
-        for (const guard of this.level.guards) {
-            const target = this.chooseGuardTarget(guard, tickingSources, explodingSources);
-            
-            if (target) {
-                guard.memory = null; // Clear memory when actively pursuing
-                guard.targetPos = target.pos;
-                const nextStep = this.pathfinder.getNextStep(guard.pos, target.pos);
-                proposals.set(guard.id, nextStep);
-            } else if (guard.memory && (this.turnIndex - guard.memory.turnIndex) <= this.level.config.memoryTTL) {
-                guard.targetPos = guard.memory.pos;
-                const nextStep = this.pathfinder.getNextStep(guard.pos, guard.memory.pos);
-                proposals.set(guard.id, nextStep);
-            } else {
-                guard.targetPos = null;
-                proposals.set(guard.id, guard.pos); // Stay in place
-            }
+    // Click-to-skip: jump to the end of the animated turn, starting anything still scheduled
+    skipResolution() {
+        if (!this.resolution) return;
+
+        const now = Date.now();
+        for (const effect of [...this.explosions, ...this.radioPulses, ...this.noiseRipples]) {
+            effect.startTime = Math.min(effect.startTime, now);
         }
+        if (this.gameOverFade) {
+            this.gameOverFade.startTime = Math.min(this.gameOverFade.startTime, now);
+        }
+        this.finishResolution();
+    }
 
-        // Phase 3: Resolve movement conflicts
-        this.resolveMovementConflicts(proposals);
+    finishResolution() {
+        this.resolution = null;
+        this.updateUI();
+        this.render();
+    }
 
-        // Phase 4: Handle explosions
-        let anyGuardKilled = false;
-        const explodingBombs = this.bombs.filter(bomb => bomb.state === BombState.EXPLODING);
-        
-        for (const bomb of explodingBombs) {
-            const blastTiles = this.calculateBlastTiles(bomb.pos);
-            
-            // Destroy targets
-            for (const target of this.level.targets) {
-                if (!target.destroyed && blastTiles.some(tile => tile.equals(target.pos))) {
-                    target.destroyed = true;
-                }
-            }
+    cycleResolveSpeed() {
+        const index = RESOLVE_SPEEDS.indexOf(this.resolveSpeed);
+        this.resolveSpeed = RESOLVE_SPEEDS[(index + 1) % RESOLVE_SPEEDS.length];
+        this.updateUI();
+    }
 
-            // Check for guard casualties
-            for (const guard of this.level.guards) {
-                if (blastTiles.some(tile => tile.equals(guard.pos))) {
-                    anyGuardKilled = true;
-                    break;
-                }
-            }
-        }
+    toggleFastResolve() {
+        this.fastResolve = !this.fastResolve;
+        this.updateUI();
+    }
 
-        // Create explosion animations and remove exploded bombs
-        for (const bomb of explodingBombs) {
-            this.explosions.push({
-                pos: bomb.pos.clone(),
-                blastTiles: this.calculateBlastTiles(bomb.pos),
-                startTime: Date.now(),
-                duration: 800 // Animation duration in ms
-            });
-        }
-        
-        this.bombs = this.bombs.filter(bomb => bomb.state !== BombState.EXPLODING);
+    // Pulses on the bombs ticking at the start of an animated turn and pings where guards
+    // fix a new memory at its end
+    renderResolution() {
+        if (!this.resolution) return;
 
-        // Phase 5: Update guard memory
-        for (const guard of this.level.guards) {
-            const audibleExplosions = explodingSources.filter(explosion => {
-                const distance = this.pathfinder.getPathDistance(guard.pos, explosion.pos);
-                return distance <= guard.hearingRadius;
-            });
+        const { ticking, pings, timeline, startTime } = this.resolution;
+        const elapsed = Date.now() - startTime;
+        const tileSize = this.currentTileSize;
+        const ring = (pos, progress, color) => {
+            this.ctx.strokeStyle = color;
+            this.ctx.globalAlpha = 1 - progress;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x * tileSize + tileSize / 2, pos.y * tileSize + tileSize / 2, tileSize * (0.3 + progress * 0.5), 0, Math.PI * 2);
+            this.ctx.stroke();
+        };
 
-            if (audibleExplosions.length > 0) {
-                // Choose closest explosion, with tie-breaking
-                audibleExplosions.sort((a, b) => {
-                    const distA = this.pathfinder.getPathDistance(guard.pos, a.pos);
-                    const distB = this.pathfinder.getPathDistance(guard.pos, b.pos);
-                    if (distA !== distB) return distA - distB;
-                    if (a.pos.y !== b.pos.y) return a.pos.y - b.pos.y;
-                    return a.pos.x - b.pos.x;
-                });
-
-                guard.memory = {
-                    pos: audibleExplosions[0].pos,
-                    turnIndex: this.turnIndex
-                };
-            } else if (guard.memory && (this.turnIndex - guard.memory.turnIndex) > this.level.config.memoryTTL) {
-                guard.memory = null;
-            }
+        if (elapsed < timeline.turnAt) {
+            for (const pos of ticking) ring(pos, elapsed / timeline.turnAt, '#ffffff');
         }
-
-        // Phase 6: Check win/lose conditions
-        if (anyGuardKilled) {
-            this.gameState = GameState.LOST;
-        } else if (this.level.targets.every(target => target.destroyed)) {
-            this.gameState = GameState.WON;
-            // Auto-advance to next level after a short delay
-            if (this.currentLevelIndex < this.levels.length - 1) {
-                setTimeout(() => {
-                    if (this.gameState === GameState.WON) { // Make sure we're still in won state
-                        this.nextLevel();
+        if (elapsed >= timeline.memoryAt && timeline.end > timeline.memoryAt) {
+            for (const pos of pings) ring(pos, Math.min(1, (elapsed - timeline.memoryAt) / (timeline.end - timeline.memoryAt)), '#88ccff');
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    // Each guard killed in a turn, with the blast tiles of the bomb that reached it
+    getKills(events) {
+        const blastTiles = new Map(events
+            .filter(event => event.type === SimEvent.EXPLOSION)
+            .map(event => [event.bombId, event.blastTiles]));
+        return events
+            .filter(event => event.type === SimEvent.GUARD_KILLED)
+            .map(event => ({ guardId: event.guardId, bombId: event.bombId, pos: event.pos, blastTiles: blastTiles.get(event.bombId) }));
+    }
+
+    // Effects of a turn start when their phase of the timeline comes up (at once without one)
+    handleTurnEvents(events, timeline = null) {
+        const explodeAt = timeline ? timeline.explodeAt : 0;
+        const memoryAt = timeline ? timeline.memoryAt : 300; // Once the blast has flashed
+
+        this.noiseRipples = [];
+
+        for (const event of events) {
+            switch (event.type) {
+                case SimEvent.NOISE: {
+                    // The distance field the guards heard this sound through. Ticking starts
+                    // the turn; a blast's sound spreads with its explosion.
+                    const soundAt = event.chainDepth === null ? 0 : explodeAt + event.chainDepth * 150;
+                    const reach = Math.max(...event.field);
+                    this.noiseRipples.push({
+                        pos: event.pos,
+                        level: event.level,
+                        field: event.field,
+                        size: this.level.grid.length,
+                        startTime: Date.now() + soundAt,
+                        duration: (reach + RIPPLE_TRAIL) * RIPPLE_STEP_MS
+                    });
+                    break;
+                }
+                case SimEvent.EXPLOSION:
+                    this.explosions.push({
+                        pos: event.pos,
+                        blastTiles: event.blastTiles,
+                        kind: event.kind,
+                        startTime: Date.now() + explodeAt + event.chainDepth * 150, // Stagger chained bombs
+                        duration: 800 // Animation duration in ms
+                    });
+                    break;
+                case SimEvent.RADIO_ALERT: {
+                    const caller = this.level.guards.find(guard => guard.id === event.fromGuardId);
+                    const receiver = this.level.guards.find(guard => guard.id === event.toGuardId);
+                    if (!caller || !receiver) break;
+                    this.radioPulses.push({
+                        from: caller.pos.clone(),
+                        to: receiver.pos.clone(),
+                        startTime: Date.now() + memoryAt,
+                        duration: 900
+                    });
+                    break;
+                }
+                case SimEvent.LEVEL_WON:
+                    // Auto-advance to next level a short while after the turn has played out
+                    if (this.currentLevelIndex < this.levels.length - 1 && !this.playback) {
+                        this.autoAdvanceTimer = setTimeout(() => {
+                            this.autoAdvanceTimer = null;
+                            if (this.gameState === GameState.WON) { // Make sure we're still in won state
+                                this.nextLevel();
+                            }
+                        }, 2000 + (timeline ? timeline.end : 0));
                     }
-                }, 2000);
+                    break;
             }
         }
     }
 
-    chooseGuardTarget(guard, tickingSources, explodingSources) {
-        const allSources = [...tickingSources, ...explodingSources];
-        const audibleSources = allSources.filter(source => {
-            const distance = this.pathfinder.getPathDistance(guard.pos, source.pos);
-            return distance <= guard.hearingRadius;
-        });
+    saveGameState() {
+        // States are never mutated once produced, so the history can hold them directly
+        this.gameHistory.push(this.state);
+        this.redoStack = []; // A new action invalidates anything that was undone
+        
+        // Limit history size (the extra entry is the current state)
+        if (this.gameHistory.length > UNDO_HISTORY_LIMIT + 1) {
+            this.gameHistory.shift();
+        }
+    }
 
-        if (audibleSources.length === 0) return null;
+    canUndo() {
+        return this.level.config.undoEnabled && this.gameHistory.length > 1; // Keep at least the initial state
+    }
 
-        // Sort by noise level (descending), then distance (ascending), then preference for explosions, then lexicographic
-        audibleSources.sort((a, b) => {
-            // Higher noise level first
-            if (a.level !== b.level) return b.level - a.level;
-            
-            // Closer distance first
-            const distA = this.pathfinder.getPathDistance(guard.pos, a.pos);
-            const distB = this.pathfinder.getPathDistance(guard.pos, b.pos);
-            if (distA !== distB) return distA - distB;
-            
-            // Explosion over ticking (explosions have level 4)
-            const isExplosionA = explodingSources.includes(a);
-            const isExplosionB = explodingSources.includes(b);
-            if (isExplosionA !== isExplosionB) return isExplosionB ? 1 : -1;
-            
-            // Lexicographic tie-breaking
-            if (a.pos.y !== b.pos.y) return a.pos.y - b.pos.y;
-            return a.pos.x - b.pos.x;
-        });
+    canRedo() {
+        return this.level.config.undoEnabled && this.redoStack.length > 0;
+    }
 
-        return audibleSources[0];
+    undo() {
+        if (!this.canUndo()) return;
+        
+        this.redoStack.push(this.gameHistory.pop()); // Move current state onto the redo stack
+        this.state = this.gameHistory[this.gameHistory.length - 1];
+        this.recordAction([ReplayAction.UNDO]);
+        this.cancelTurnEffects();
+        
+        this.updateUI();
+        this.render();
     }
 
-    resolveMovementConflicts(proposals) {
-        const destinationMap = new Map();
+    redo() {
+        if (!this.canRedo()) return;
         
-        // Group proposals by destination
-        for (const [guardId, destination] of proposals) {
-            const key = `${destination.x},${destination.y}`;
-            if (!destinationMap.has(key)) {
-                destinationMap.set(key, []);
-            }
-            destinationMap.get(key).push(guardId);
+        this.gameHistory.push(this.redoStack.pop());
+        this.state = this.gameHistory[this.gameHistory.length - 1];
+        this.recordAction([ReplayAction.REDO]);
+        this.cancelTurnEffects();
+        
+        this.updateUI();
+        this.render();
+    }
+
+    // Drop animations and pending timers that belong to a state we just left
+    cancelTurnEffects() {
+        this.explosions = [];
+        this.radioPulses = [];
+        this.noiseRipples = [];
+        this.gameOverFade = null;
+        this.resolution = null;
+        if (this.autoAdvanceTimer) {
+            clearTimeout(this.autoAdvanceTimer);
+            this.autoAdvanceTimer = null;
         }
+    }
 
-        // Resolve conflicts
-        const validMoves = new Map();
-        
-        for (const [guardId, destination] of proposals) {
-            const guard = this.level.guards.find(g => g.id === guardId);
-            const destKey = `${destination.x},${destination.y}`;
-            const claimants = destinationMap.get(destKey);
-            
-            // If multiple guards want the same destination, none can move there
-            if (claimants.length > 1) {
-                validMoves.set(guardId, guard.pos);
-                continue;
-            }
+    recordAction(action) {
+        if (this.playback) return; // Playback re-applies actions that are already in the log
+        this.replay.actions.push(action);
+    }
 
-            // Check for swap conflicts
-            const currentKey = `${guard.pos.x},${guard.pos.y}`;
-            const occupyingGuardId = destinationMap.has(currentKey) ? 
-                destinationMap.get(currentKey).find(id => id !== guardId) : null;
-            
-            if (occupyingGuardId) {
-                const occupyingGuard = this.level.guards.find(g => g.id === occupyingGuardId);
-                const occupyingDestination = proposals.get(occupyingGuardId);
-                
-                // If we're trying to swap, prevent it
-                if (occupyingDestination && occupyingDestination.equals(guard.pos)) {
-                    validMoves.set(guardId, guard.pos);
-                    validMoves.set(occupyingGuardId, occupyingGuard.pos);
-                    continue;
-                }
-            }
+    // Replay playback: re-runs a log through the same entry points the player uses
 
-            validMoves.set(guardId, destination);
+    startPlayback(replay) {
+        const levelIndex = this.levels.findIndex(level => level.id === replay.levelId);
+        if (levelIndex === -1) {
+            console.warn(`Replay level not found: ${replay.levelId}`);
+            return false;
         }
-
-        // Apply valid moves
-        for (const guard of this.level.guards) {
-            const newPos = validMoves.get(guard.id);
-            if (newPos) {
-                guard.pos = newPos.clone();
-            }
+        if (hashLevelData(this.levels[levelIndex]) !== replay.levelHash) {
+            console.warn(`Replay was recorded on a different version of ${replay.levelId}`);
+            return false;
         }
+        
+        this.stopPlayback();
+        this.loadLevel(this.levels[levelIndex], levelIndex);
+        this.playback = { replay, index: 0, timer: null };
+        this.updateUI();
+        return true;
     }
 
-    calculateBlastTiles(bombPos) {
-        // Use circular blast pattern with reduced radius
-        const blastRadius = Math.max(1, this.level.config.blastRange - 1);
-        return this.calculateCircularBlast(bombPos, blastRadius);
+    stopPlayback() {
+        if (!this.playback) return;
+        
+        // Keep the played-back log so the player can continue recording from here
+        if (this.playback.timer) clearTimeout(this.playback.timer);
+        this.replay = {
+            ...this.playback.replay,
+            actions: this.playback.replay.actions.slice(0, this.playback.index)
+        };
+        this.playback = null;
+        this.updateUI();
     }
 
-    saveGameState() {
-        const state = {
-            bombs: this.bombs.map(bomb => ({...bomb, pos: bomb.pos.clone()})),
-            guards: this.level.guards.map(guard => ({
-                ...guard, 
-                pos: guard.pos.clone(),
-                memory: guard.memory ? {
-                    pos: guard.memory.pos.clone(),
-                    turnIndex: guard.memory.turnIndex
-                } : null
-            })),
-            targets: this.level.targets.map(target => ({...target, pos: target.pos.clone()})),
-            turnIndex: this.turnIndex,
-            gameState: this.gameState
-        };
-        
-        this.gameHistory.push(JSON.stringify(state));
-        
-        // Limit history size
-        if (this.gameHistory.length > 20) {
-            this.gameHistory.shift();
+    togglePlayback() {
+        if (this.playback && this.playback.timer) {
+            // Pause
+            clearTimeout(this.playback.timer);
+            this.playback.timer = null;
+            this.updateUI();
+            return;
         }
+        
+        if (!this.playback && !this.startPlayback(this.replay)) return;
+        this.schedulePlaybackStep();
     }
 
-    undo() {
-        if (this.gameHistory.length <= 1) return; // Keep at least the initial state
-        
-        this.gameHistory.pop(); // Remove current state
-        const previousState = JSON.parse(this.gameHistory[this.gameHistory.length - 1]);
-        
-        // Restore state
-        this.bombs = previousState.bombs.map(bomb => {
-            const restored = new Bomb(bomb.id, bomb.pos, bomb.hasTimer);
-            restored.timer = bomb.timer;
-            restored.state = bomb.state;
-            restored.turnPlaced = bomb.turnPlaced;
-            return restored;
-        });
-        
-        this.level.guards.forEach((guard, index) => {
-            const savedGuard = previousState.guards[index];
-            guard.pos = new Vec(savedGuard.pos.x, savedGuard.pos.y);
-            guard.memory = savedGuard.memory ? {
-                pos: new Vec(savedGuard.memory.pos.x, savedGuard.memory.pos.y),
-                turnIndex: savedGuard.memory.turnIndex
-            } : null;
-            guard.targetPos = null;
-        });
+    schedulePlaybackStep() {
+        this.playback.timer = setTimeout(() => {
+            this.playback.timer = null;
+            if (this.stepPlayback()) this.schedulePlaybackStep();
+        }, 500);
+        this.updateUI();
+    }
+
+    // Apply the next logged action; returns false once the log is exhausted
+    stepPlayback() {
+        if (!this.playback && !this.startPlayback(this.replay)) return false;
         
-        this.level.targets.forEach((target, index) => {
-            target.destroyed = previousState.targets[index].destroyed;
-        });
+        const { replay } = this.playback;
+        if (this.playback.index >= replay.actions.length) {
+            this.stopPlayback();
+            return false;
+        }
         
-        this.turnIndex = previousState.turnIndex;
-        this.gameState = previousState.gameState;
+        const action = replay.actions[this.playback.index++];
+        const [code, x, y] = action;
+        switch (code) {
+            case ReplayAction.PLACE:
+                this.placeBomb(new Vec(x, y), action[3], action[4]);
+                break;
+            case ReplayAction.ROTATE:
+                this.rotateShapedCharge(new Vec(x, y));
+                break;
+            case ReplayAction.NOISE:
+                this.placeNoisemaker(new Vec(x, y));
+                break;
+            case ReplayAction.CYCLE:
+                this.cycleBombTimer(new Vec(x, y));
+                break;
+            case ReplayAction.END_TURN:
+                this.endTurn();
+                break;
+            case ReplayAction.UNDO:
+                this.undo();
+                break;
+            case ReplayAction.REDO:
+                this.redo();
+                break;
+        }
         
-        this.updateUI();
-        this.render();
+        if (this.playback.index >= replay.actions.length) {
+            this.stopPlayback();
+            return false;
+        }
+        return true;
+    }
+
+    exportReplay() {
+        const json = JSON.stringify(this.playback ? this.playback.replay : this.replay);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.level.id}-replay.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importReplay(file) {
+        try {
+            const replay = parseReplay(await file.text());
+            if (this.startPlayback(replay)) {
+                this.schedulePlaybackStep();
+            }
+        } catch (error) {
+            console.warn('Failed to import replay:', error);
+        }
     }
 
     handleMouseMove(e) {
@@ -1005,19 +1384,22 @@ class Game {
             return;
         }
 
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.currentTileSize);
-        const y = Math.floor((e.clientY - rect.top) / this.currentTileSize);
-        const newPos = new Vec(x, y);
+        const newPos = this.eventToGridPos(e);
 
         if (!this.mousePos.equals(newPos)) {
             this.mousePos = newPos;
-            this.showBombPreview = this.level.canPlaceBomb(this.mousePos) && 
-                                  this.bombs.length < this.level.config.maxActiveBombs;
+            this.updatePlacementPreview();
             this.render();
         }
     }
 
+    // Preview the selected item under the mouse when it could be placed there
+    updatePlacementPreview() {
+        this.showBombPreview = this.selectedItem === PlayerItem.NOISEMAKER ?
+            canPlaceNoisemaker(this.state, this.mousePos) :
+            canPlaceBomb(this.state, this.mousePos, this.getSelectedKind());
+    }
+
     handleMouseEnter(e) {
         this.handleMouseMove(e);
     }
@@ -1040,17 +1422,79 @@ class Game {
             status.className = 'status-playing';
         }
         
-        // Update navigation buttons
-        document.getElementById('prevLevelButton').disabled = this.currentLevelIndex === 0;
-        document.getElementById('nextLevelButton').disabled = this.currentLevelIndex >= this.levels.length - 1;
-        
-        // Update end turn button
-        document.getElementById('endTurnButton').disabled = this.gameState !== GameState.PLAYING;
+        // Update navigation buttons
+        document.getElementById('prevLevelButton').disabled = this.currentLevelIndex === 0;
+        document.getElementById('nextLevelButton').disabled = this.currentLevelIndex >= this.levels.length - 1;
+        
+        // Update end turn button
+        document.getElementById('endTurnButton').disabled = this.gameState !== GameState.PLAYING || this.isInputLocked();
+        
+        // Update undo / redo buttons
+        document.getElementById('undoButton').disabled = !this.canUndo() || this.isInputLocked();
+        document.getElementById('redoButton').disabled = !this.canRedo() || this.isInputLocked();
+        document.getElementById('retryButton').style.display = this.gameState === GameState.LOST ? 'block' : 'none';
+        
+        // Update item selector; pips show what is left of each item's level budget
+        let anyBudget = false;
+        for (const item of Object.values(PlayerItem)) {
+            const button = document.getElementById(`${item}ItemButton`);
+            const budget = this.getItemBudget(item);
+            button.classList.toggle('selected', this.selectedItem === item);
+            if (!budget) continue;
+            
+            anyBudget = anyBudget || budget.total > 0;
+            button.style.display = budget.total > 0 ? '' : 'none';
+            this.fillPips(button.querySelector('.item-pips'), budget.total, budget.left);
+        }
+        document.getElementById('itemControls').style.display = anyBudget ? 'flex' : 'none';
+        
+        // Update condition HUD
+        if (this.level) this.updateConditionHud();
+        
+        document.getElementById('forecastButton').classList.toggle('on', this.showForecast);
+        document.getElementById('resolveSpeedButton').textContent = `${this.resolveSpeed}\u00d7`;
+        document.getElementById('fastResolveButton').classList.toggle('on', this.fastResolve);
+        
+        // Update replay controls
+        const playButton = document.getElementById('replayPlayButton');
+        playButton.classList.toggle('playing', !!(this.playback && this.playback.timer));
+    }
+
+    // Turns left before the level's deadline and bombs left in its budget, as pip bars
+    updateConditionHud() {
+        const { win, fail } = this.level.conditions;
+        const deadlines = [fail.turnLimit, win.destroyTargetsByTurn].filter(turn => turn > 0);
+        const turnPips = document.getElementById('turnPips');
+        turnPips.style.display = deadlines.length > 0 ? 'flex' : 'none';
+        if (deadlines.length > 0) {
+            const deadline = Math.min(...deadlines);
+            this.fillPips(turnPips, deadline, deadline - this.turnIndex);
+        }
+        
+        const budgetPips = document.getElementById('budgetPips');
+        budgetPips.style.display = fail.bombBudget !== undefined ? 'flex' : 'none';
+        if (fail.bombBudget !== undefined) {
+            this.fillPips(budgetPips, fail.bombBudget, fail.bombBudget - this.state.bombIdCounter);
+        }
+    }
+
+    // One pip per unit of total, lit while left; units spent past the total show as red extras
+    fillPips(container, total, left) {
+        container.innerHTML = '';
+        for (let i = 0; i < Math.max(total, total - left); i++) {
+            const pip = document.createElement('span');
+            pip.className = i >= total ? 'pip over' : i < left ? 'pip' : 'pip used';
+            container.appendChild(pip);
+        }
     }
 
     render() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        // The board is drawn in grid space, offset by the camera
+        this.ctx.save();
+        this.ctx.translate(this.camera.x, this.camera.y);
+        
         // Render grid background
         this.renderGrid();
         
@@ -1062,34 +1506,52 @@ class Game {
         // Render tiles
         this.renderTiles();
         
+        // Render the zones and tiles the level's conditions guard
+        this.renderConditionTiles();
+        
         // Render targets
         this.renderTargets();
         
+        // Render crates
+        this.renderCrates();
+        
+        // Render patrol routes under the guards
+        this.renderPatrolRoutes();
+        
         // Render guards
         this.renderGuards();
         
         // Render bombs
         this.renderBombs();
         
+        // Render noisemakers
+        this.renderNoisemakers();
+        
+        // Render smoke clouds over everything on the board
+        this.renderSmoke();
+        
         // Render UI overlays
         this.renderOverlays();
+        
+        this.ctx.restore();
     }
 
     renderGrid() {
+        const size = this.currentGridSize * this.currentTileSize;
         this.ctx.strokeStyle = '#333';
         this.ctx.lineWidth = 0.5;
         
         for (let x = 0; x <= this.currentGridSize; x++) {
             this.ctx.beginPath();
             this.ctx.moveTo(x * this.currentTileSize, 0);
-            this.ctx.lineTo(x * this.currentTileSize, CANVAS_SIZE);
+            this.ctx.lineTo(x * this.currentTileSize, size);
             this.ctx.stroke();
         }
         
         for (let y = 0; y <= this.currentGridSize; y++) {
             this.ctx.beginPath();
             this.ctx.moveTo(0, y * this.currentTileSize);
-            this.ctx.lineTo(CANVAS_SIZE, y * this.currentTileSize);
+            this.ctx.lineTo(size, y * this.currentTileSize);
             this.ctx.stroke();
         }
     }
@@ -1128,18 +1590,115 @@ class Game {
                         this.ctx.fillStyle = '#000';
                         this.ctx.fillRect(screenX, screenY, this.currentTileSize, this.currentTileSize);
                         break;
+                    case Tile.DOOR_CLOSED:
+                    case Tile.DOOR_OPEN:
+                        this.renderDoor(screenX, screenY, tile === Tile.DOOR_OPEN);
+                        break;
+                    case Tile.CRACKED_WALL:
+                        this.renderCrackedWall(screenX, screenY);
+                        break;
+                    case Tile.PLATE:
+                        this.ctx.fillStyle = '#222';
+                        this.ctx.fillRect(screenX, screenY, this.currentTileSize, this.currentTileSize);
+                        this.ctx.fillStyle = '#8a7a3a';
+                        this.ctx.fillRect(
+                            screenX + this.currentTileSize * 0.2,
+                            screenY + this.currentTileSize * 0.2,
+                            this.currentTileSize * 0.6,
+                            this.currentTileSize * 0.6
+                        );
+                        break;
                 }
             }
         }
     }
 
+    // Keep-out zones and alarm tiles from the level's win and fail conditions
+    renderConditionTiles() {
+        const { win, fail } = this.level.conditions;
+        const tileSize = this.currentTileSize;
+        
+        // Keep-out zone: faint green area with a dashed edge
+        if (win.keepGuardsOut) {
+            const zone = win.keepGuardsOut;
+            this.ctx.fillStyle = 'rgba(102, 221, 102, 0.12)';
+            this.ctx.fillRect(zone.x * tileSize, zone.y * tileSize, zone.w * tileSize, zone.h * tileSize);
+            this.ctx.strokeStyle = '#66dd66';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.strokeRect(zone.x * tileSize, zone.y * tileSize, zone.w * tileSize, zone.h * tileSize);
+            this.ctx.setLineDash([]);
+        }
+        
+        // Alarm tiles a guard must never reach: red frame with a cross
+        if (fail.guardReaches) {
+            const inset = tileSize * 0.1;
+            this.ctx.strokeStyle = '#ff4444';
+            this.ctx.lineWidth = 2;
+            for (const tile of fail.guardReaches) {
+                const screenX = tile.x * tileSize;
+                const screenY = tile.y * tileSize;
+                this.ctx.strokeRect(screenX + inset, screenY + inset, tileSize - inset * 2, tileSize - inset * 2);
+                this.ctx.beginPath();
+                this.ctx.moveTo(screenX + inset, screenY + inset);
+                this.ctx.lineTo(screenX + tileSize - inset, screenY + tileSize - inset);
+                this.ctx.moveTo(screenX + tileSize - inset, screenY + inset);
+                this.ctx.lineTo(screenX + inset, screenY + tileSize - inset);
+                this.ctx.stroke();
+            }
+        }
+    }
+
+    // Wall with a zig-zag fracture so it reads as breakable
+    renderCrackedWall(screenX, screenY) {
+        const size = this.currentTileSize;
+        this.ctx.fillStyle = '#5a5a5a';
+        this.ctx.fillRect(screenX, screenY, size, size);
+        
+        this.ctx.strokeStyle = '#2a2a2a';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX + size * 0.3, screenY);
+        this.ctx.lineTo(screenX + size * 0.45, screenY + size * 0.35);
+        this.ctx.lineTo(screenX + size * 0.3, screenY + size * 0.6);
+        this.ctx.lineTo(screenX + size * 0.55, screenY + size);
+        this.ctx.moveTo(screenX + size * 0.45, screenY + size * 0.35);
+        this.ctx.lineTo(screenX + size * 0.8, screenY + size * 0.45);
+        this.ctx.stroke();
+    }
+
+    // Closed doors fill the tile; open doors leave the floor visible inside the frame
+    renderDoor(screenX, screenY, open) {
+        const size = this.currentTileSize;
+        this.ctx.fillStyle = '#222';
+        this.ctx.fillRect(screenX, screenY, size, size);
+        
+        this.ctx.strokeStyle = '#a0662a';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(screenX + 1, screenY + 1, size - 2, size - 2);
+        
+        if (!open) {
+            this.ctx.fillStyle = '#7a4a1a';
+            this.ctx.fillRect(screenX + 3, screenY + 3, size - 6, size - 6);
+            this.ctx.fillStyle = '#d0a050';
+            this.ctx.fillRect(screenX + size * 0.65, screenY + size * 0.45, size * 0.1, size * 0.1);
+        }
+    }
+
     renderTargets() {
+        // Ordered groups get a colour each, in order of first appearance
+        const groups = [...new Set(this.level.targets.filter(t => t.group !== null).map(t => t.group))];
+        
         for (const target of this.level.targets) {
             if (target.destroyed) continue;
             
             const screenX = target.pos.x * this.currentTileSize;
             const screenY = target.pos.y * this.currentTileSize;
             
+            // Targets that may not be hit yet are dimmed
+            const originalAlpha = this.ctx.globalAlpha;
+            if (!this.level.isTargetInOrder(target)) this.ctx.globalAlpha = 0.45;
+            
             // Draw target as a red square
             this.ctx.fillStyle = '#ff4444';
             this.ctx.fillRect(
@@ -1149,33 +1708,197 @@ class Game {
                 this.currentTileSize * 0.6
             );
             
-            // Add inner detail
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.fillRect(
-                screenX + this.currentTileSize * 0.4,
-                screenY + this.currentTileSize * 0.4,
-                this.currentTileSize * 0.2,
-                this.currentTileSize * 0.2
-            );
+            if (target.group !== null) {
+                // Group-coloured frame with the target's place in the sequence
+                const groupColor = TARGET_GROUP_COLORS[groups.indexOf(target.group) % TARGET_GROUP_COLORS.length];
+                this.ctx.strokeStyle = groupColor;
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(
+                    screenX + this.currentTileSize * 0.15,
+                    screenY + this.currentTileSize * 0.15,
+                    this.currentTileSize * 0.7,
+                    this.currentTileSize * 0.7
+                );
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.font = `bold ${this.currentTileSize * 0.35}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(
+                    target.order.toString(),
+                    screenX + this.currentTileSize / 2,
+                    screenY + this.currentTileSize / 2
+                );
+            } else {
+                // Add inner detail
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.fillRect(
+                    screenX + this.currentTileSize * 0.4,
+                    screenY + this.currentTileSize * 0.4,
+                    this.currentTileSize * 0.2,
+                    this.currentTileSize * 0.2
+                );
+            }
+            
+            // Armor pips along the bottom edge, dark once knocked off
+            if (target.maxHp > 1) {
+                const pipSize = this.currentTileSize * Math.min(0.12, 0.5 / target.maxHp);
+                const gap = (this.currentTileSize * 0.6 - pipSize * target.maxHp) / (target.maxHp + 1);
+                for (let i = 0; i < target.maxHp; i++) {
+                    this.ctx.fillStyle = i < target.hp ? '#dddddd' : '#552222';
+                    this.ctx.fillRect(
+                        screenX + this.currentTileSize * 0.2 + gap + i * (pipSize + gap),
+                        screenY + this.currentTileSize * 0.84,
+                        pipSize,
+                        pipSize
+                    );
+                }
+            }
+            
+            this.ctx.globalAlpha = originalAlpha;
+        }
+    }
+
+    renderCrates() {
+        for (const crate of this.level.crates) {
+            this.renderCrate(crate.pos.x * this.currentTileSize, crate.pos.y * this.currentTileSize);
+        }
+    }
+
+    // Wooden box with cross bracing
+    renderCrate(screenX, screenY) {
+        const inset = this.currentTileSize * 0.1;
+        const size = this.currentTileSize - inset * 2;
+        
+        this.ctx.fillStyle = '#8b5a2b';
+        this.ctx.fillRect(screenX + inset, screenY + inset, size, size);
+        
+        this.ctx.strokeStyle = '#5a3a1a';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(screenX + inset, screenY + inset, size, size);
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX + inset, screenY + inset);
+        this.ctx.lineTo(screenX + inset + size, screenY + inset + size);
+        this.ctx.moveTo(screenX + inset + size, screenY + inset);
+        this.ctx.lineTo(screenX + inset, screenY + inset + size);
+        this.ctx.stroke();
+    }
+
+    renderPatrolRoutes() {
+        const tileSize = this.currentTileSize;
+        const center = pos => [pos.x * tileSize + tileSize / 2, pos.y * tileSize + tileSize / 2];
+        let walkFields = null;
+        
+        for (const guard of this.level.guards) {
+            if (!guard.patrol) continue;
+            const waypoints = guard.patrol.waypoints;
+            
+            // Dashed route through the waypoints, closed for looping patrols
+            this.ctx.strokeStyle = 'rgba(136, 204, 255, 0.35)';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            waypoints.forEach((point, index) => {
+                const [x, y] = center(point);
+                if (index === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+            if (guard.patrol.mode === PatrolMode.LOOP && waypoints.length > 2) this.ctx.closePath();
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            for (const point of waypoints) {
+                const [x, y] = center(point);
+                this.ctx.fillStyle = 'rgba(136, 204, 255, 0.35)';
+                this.ctx.fillRect(x - 2, y - 2, 4, 4);
+            }
+            
+            // Upcoming patrol step, unless the guard will be chasing noise or memory instead
+            const memoryActive = guard.memory &&
+                (this.turnIndex + 1 - guard.memory.turnIndex) <= this.level.config.memoryTTL;
+            if (guard.asleep || memoryActive || guard.alertState === GuardAlert.INVESTIGATING || this.resolution) continue;
+            
+            walkFields = walkFields || SoundFields.forWalking(this.level);
+            const waypoint = waypoints[getPatrolStep(walkFields, guard).index];
+            const step = walkFields.getNextStep(guard.pos, waypoint);
+            if (!step || step.equals(guard.pos)) continue;
+            
+            const [x, y] = center(step);
+            this.ctx.strokeStyle = 'rgba(136, 204, 255, 0.8)';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, tileSize * 0.2, 0, Math.PI * 2);
+            this.ctx.stroke();
         }
     }
 
     renderGuards() {
+        // Sight cones under all guards, hidden while guards are between tiles in an animated turn
+        this.ctx.fillStyle = 'rgba(255, 238, 136, 0.15)';
+        for (const guard of this.resolution ? [] : this.level.guards) {
+            for (const tile of getSightTiles(this.level, guard)) {
+                this.ctx.fillRect(
+                    tile.x * this.currentTileSize,
+                    tile.y * this.currentTileSize,
+                    this.currentTileSize,
+                    this.currentTileSize
+                );
+            }
+        }
+        
         for (const guard of this.level.guards) {
             const screenX = guard.pos.x * this.currentTileSize;
             const screenY = guard.pos.y * this.currentTileSize;
             
-            // Draw guard as blue circle
-            this.ctx.fillStyle = '#4444ff';
-            this.ctx.beginPath();
-            this.ctx.arc(
+            // Draw guard silhouette for its archetype
+            this.renderGuardSilhouette(
+                guard,
                 screenX + this.currentTileSize / 2,
                 screenY + this.currentTileSize / 2,
-                this.currentTileSize * 0.3,
-                0,
-                Math.PI * 2
+                this.currentTileSize * 0.3
             );
-            this.ctx.fill();
+            
+            // Alert state above the head: alerted '!', investigating '?', returning '⌂'
+            const alertMark = GUARD_ALERT_MARKS[guard.alertState];
+            if (alertMark) {
+                this.ctx.fillStyle = alertMark.color;
+                this.ctx.font = `bold ${this.currentTileSize * 0.4}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(alertMark.symbol, screenX + this.currentTileSize * 0.25, screenY + this.currentTileSize * 0.15);
+            }
+            
+            // Radio carriers wear an antenna
+            if (guard.hasRadio) {
+                const baseX = screenX + this.currentTileSize * 0.7;
+                const baseY = screenY + this.currentTileSize * 0.35;
+                this.ctx.strokeStyle = '#66ffcc';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(baseX, baseY);
+                this.ctx.lineTo(baseX, baseY - this.currentTileSize * 0.25);
+                this.ctx.stroke();
+                this.ctx.fillStyle = '#66ffcc';
+                this.ctx.beginPath();
+                this.ctx.arc(baseX, baseY - this.currentTileSize * 0.25, this.currentTileSize * 0.06, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+            
+            // Stunned guards sit out the next turn: yellow ring of dots
+            if (guard.stunned) {
+                this.ctx.fillStyle = '#ffff66';
+                for (let i = 0; i < 5; i++) {
+                    const angle = (i / 5) * Math.PI * 2;
+                    this.ctx.beginPath();
+                    this.ctx.arc(
+                        screenX + this.currentTileSize / 2 + Math.cos(angle) * this.currentTileSize * 0.4,
+                        screenY + this.currentTileSize / 2 + Math.sin(angle) * this.currentTileSize * 0.4,
+                        this.currentTileSize * 0.05,
+                        0,
+                        Math.PI * 2
+                    );
+                    this.ctx.fill();
+                }
+            }
             
             // Draw direction arrow if guard has a target
             if (guard.targetPos && !guard.pos.equals(guard.targetPos)) {
@@ -1204,57 +1927,214 @@ class Game {
         }
     }
 
+    renderGuardSilhouette(guard, centerX, centerY, radius) {
+        const originalAlpha = this.ctx.globalAlpha;
+        this.ctx.fillStyle = '#4444ff';
+        this.ctx.beginPath();
+        
+        switch (guard.type) {
+            case GuardType.RUNNER:
+                // Forward-leaning triangle
+                this.ctx.moveTo(centerX + radius, centerY);
+                this.ctx.lineTo(centerX - radius, centerY - radius);
+                this.ctx.lineTo(centerX - radius * 0.5, centerY);
+                this.ctx.lineTo(centerX - radius, centerY + radius);
+                this.ctx.closePath();
+                break;
+            case GuardType.DEAF:
+                // Square: no round "ear" outline
+                this.ctx.rect(centerX - radius, centerY - radius, radius * 2, radius * 2);
+                break;
+            case GuardType.BRAVE:
+                // Diamond
+                this.ctx.moveTo(centerX, centerY - radius * 1.2);
+                this.ctx.lineTo(centerX + radius * 1.2, centerY);
+                this.ctx.lineTo(centerX, centerY + radius * 1.2);
+                this.ctx.lineTo(centerX - radius * 1.2, centerY);
+                this.ctx.closePath();
+                break;
+            case GuardType.SLEEPER:
+                // Circle, dimmed while asleep
+                if (guard.asleep) this.ctx.globalAlpha = 0.5;
+                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+                break;
+            default:
+                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        }
+        this.ctx.fill();
+        
+        // Closed eyelid across the sleeper's upper half
+        if (guard.type === GuardType.SLEEPER && guard.asleep) {
+            this.ctx.fillStyle = '#222266';
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, Math.PI, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        this.ctx.globalAlpha = originalAlpha;
+    }
+
     renderBombs() {
         for (const bomb of this.bombs) {
-            const screenX = bomb.pos.x * this.currentTileSize;
-            const screenY = bomb.pos.y * this.currentTileSize;
-            
-            // Draw bomb body
-            this.ctx.fillStyle = '#333';
-            this.ctx.beginPath();
-            this.ctx.arc(
-                screenX + this.currentTileSize / 2,
-                screenY + this.currentTileSize / 2,
-                this.currentTileSize * 0.35,
-                0,
-                Math.PI * 2
+            this.renderBombIcon(
+                bomb.pos.x * this.currentTileSize,
+                bomb.pos.y * this.currentTileSize,
+                bomb.kind,
+                bomb.direction,
+                bomb.getColor(),
+                bomb.hasTimer ? bomb.timer.toString() : null
             );
-            this.ctx.fill();
-            
-            // Draw timer LED
-            this.ctx.fillStyle = bomb.getColor();
+        }
+    }
+
+    // Bomb body tinted by kind with the timer LED in the middle; shaped charges get a
+    // pointer toward their blast, smoke a puff and flashbangs a starburst
+    renderBombIcon(screenX, screenY, kind, direction, ledColor, timerText) {
+        const size = this.currentTileSize;
+        const centerX = screenX + size / 2;
+        const centerY = screenY + size / 2;
+        
+        // Draw bomb body
+        this.ctx.fillStyle = BOMB_BODY_COLORS[kind];
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, size * 0.35, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        switch (kind) {
+            case BombKind.SHAPED: {
+                const dir = DIRECTIONS[direction];
+                this.ctx.fillStyle = '#ffcc66';
+                this.ctx.beginPath();
+                this.ctx.moveTo(centerX + dir.x * size * 0.5, centerY + dir.y * size * 0.5);
+                this.ctx.lineTo(centerX + dir.x * size * 0.25 - dir.y * size * 0.15, centerY + dir.y * size * 0.25 + dir.x * size * 0.15);
+                this.ctx.lineTo(centerX + dir.x * size * 0.25 + dir.y * size * 0.15, centerY + dir.y * size * 0.25 - dir.x * size * 0.15);
+                this.ctx.closePath();
+                this.ctx.fill();
+                break;
+            }
+            case BombKind.SMOKE:
+                this.ctx.fillStyle = '#aaa';
+                for (const [dx, dy] of [[-0.2, -0.22], [0, -0.3], [0.2, -0.22]]) {
+                    this.ctx.beginPath();
+                    this.ctx.arc(centerX + dx * size, centerY + dy * size, size * 0.1, 0, Math.PI * 2);
+                    this.ctx.fill();
+                }
+                break;
+            case BombKind.FLASHBANG:
+                this.ctx.strokeStyle = '#ffff66';
+                this.ctx.lineWidth = 1.5;
+                this.ctx.beginPath();
+                for (let i = 0; i < 8; i++) {
+                    const angle = (i / 8) * Math.PI * 2;
+                    this.ctx.moveTo(centerX + Math.cos(angle) * size * 0.38, centerY + Math.sin(angle) * size * 0.38);
+                    this.ctx.lineTo(centerX + Math.cos(angle) * size * 0.48, centerY + Math.sin(angle) * size * 0.48);
+                }
+                this.ctx.stroke();
+                break;
+        }
+        
+        // Draw timer LED
+        this.ctx.fillStyle = ledColor;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, size * 0.15, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        // Add timer number if applicable
+        if (timerText) {
+            this.ctx.fillStyle = '#000';
+            this.ctx.font = `${size * 0.2}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(timerText, centerX, centerY);
+        }
+    }
+
+    // Smoke clouds muffle sound until they clear
+    renderSmoke() {
+        if (this.level.smoke.size === 0) return;
+        
+        const originalAlpha = this.ctx.globalAlpha;
+        this.ctx.globalAlpha = 0.45;
+        this.ctx.fillStyle = '#999';
+        for (const key of this.level.smoke.keys()) {
+            const [x, y] = key.split(',').map(Number);
             this.ctx.beginPath();
             this.ctx.arc(
-                screenX + this.currentTileSize / 2,
-                screenY + this.currentTileSize / 2,
-                this.currentTileSize * 0.15,
+                x * this.currentTileSize + this.currentTileSize / 2,
+                y * this.currentTileSize + this.currentTileSize / 2,
+                this.currentTileSize * 0.55,
                 0,
                 Math.PI * 2
             );
             this.ctx.fill();
-            
-            // Add timer number if applicable
-            if (bomb.hasTimer) {
-                this.ctx.fillStyle = '#000';
-                this.ctx.font = `${this.currentTileSize * 0.2}px Arial`;
-                this.ctx.textAlign = 'center';
-                this.ctx.textBaseline = 'middle';
-                this.ctx.fillText(
-                    bomb.timer.toString(),
-                    screenX + this.currentTileSize / 2,
-                    screenY + this.currentTileSize / 2
-                );
-            }
+        }
+        this.ctx.globalAlpha = originalAlpha;
+    }
+
+    renderNoisemakers() {
+        for (const noisemaker of this.noisemakers) {
+            this.renderNoisemaker(
+                noisemaker.pos.x * this.currentTileSize,
+                noisemaker.pos.y * this.currentTileSize,
+                noisemaker.noiseLevel,
+                noisemaker.turnsLeft
+            );
+        }
+    }
+
+    // Speaker body with one sound arc per noise level and a dot per remaining turn
+    renderNoisemaker(screenX, screenY, noiseLevel, turnsLeft) {
+        const size = this.currentTileSize;
+        const centerX = screenX + size * 0.4;
+        const centerY = screenY + size / 2;
+        
+        this.ctx.fillStyle = '#2a6f6f';
+        this.ctx.beginPath();
+        this.ctx.moveTo(centerX - size * 0.25, centerY - size * 0.1);
+        this.ctx.lineTo(centerX - size * 0.1, centerY - size * 0.1);
+        this.ctx.lineTo(centerX + size * 0.05, centerY - size * 0.25);
+        this.ctx.lineTo(centerX + size * 0.05, centerY + size * 0.25);
+        this.ctx.lineTo(centerX - size * 0.1, centerY + size * 0.1);
+        this.ctx.lineTo(centerX - size * 0.25, centerY + size * 0.1);
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = '#66dddd';
+        this.ctx.lineWidth = 1.5;
+        for (let i = 1; i <= noiseLevel; i++) {
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, size * (0.1 + i * 0.1), -Math.PI / 4, Math.PI / 4);
+            this.ctx.stroke();
+        }
+        
+        this.ctx.fillStyle = '#66dddd';
+        for (let i = 0; i < turnsLeft; i++) {
+            this.ctx.fillRect(screenX + size * 0.15 + i * size * 0.15, screenY + size * 0.85, size * 0.08, size * 0.08);
         }
     }
 
     renderOverlays() {
+        // Render plate-to-door links for the hovered plate or door
+        this.renderPlateLinks();
+        
         // Render blast radius for placed bombs
         this.renderBlastRadii();
         
+        // Render the forecast of the next turn
+        this.renderForecast();
+        
+        // Render ticks and memory pings of the turn being animated
+        this.renderResolution();
+        
+        // Render the last turn's sounds spreading through the level
+        this.renderNoiseRipples();
+        
         // Render explosion animations
         this.renderExplosions();
         
+        // Render radio alerts passing between guards
+        this.renderRadioPulses();
+        
         // Render bomb placement preview
         this.renderBombPreview();
         
@@ -1262,8 +2142,33 @@ class Game {
         this.renderGameOverFade();
     }
 
+    renderPlateLinks() {
+        if (!this.level.isPlate(this.mousePos) && !this.level.isDoor(this.mousePos)) return;
+        
+        const center = pos => [
+            pos.x * this.currentTileSize + this.currentTileSize / 2,
+            pos.y * this.currentTileSize + this.currentTileSize / 2
+        ];
+        
+        this.ctx.strokeStyle = 'rgba(208, 160, 80, 0.8)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([3, 3]);
+        for (const [key, doors] of this.level.plateLinks) {
+            const [plateX, plateY] = key.split(',').map(Number);
+            const plate = new Vec(plateX, plateY);
+            for (const door of doors) {
+                if (!plate.equals(this.mousePos) && !door.equals(this.mousePos)) continue;
+                this.ctx.beginPath();
+                this.ctx.moveTo(...center(plate));
+                this.ctx.lineTo(...center(door));
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.setLineDash([]);
+    }
+
     renderBombPreview() {
-        if (!this.showBombPreview || this.gameState !== GameState.PLAYING) return;
+        if (!this.showBombPreview || this.gameState !== GameState.PLAYING || this.resolution) return;
         
         const screenX = this.mousePos.x * this.currentTileSize;
         const screenY = this.mousePos.y * this.currentTileSize;
@@ -1272,43 +2177,37 @@ class Game {
         const originalAlpha = this.ctx.globalAlpha;
         this.ctx.globalAlpha = 0.5;
         
-        // Draw preview bomb body
-        this.ctx.fillStyle = '#333';
-        this.ctx.beginPath();
-        this.ctx.arc(
-            screenX + this.currentTileSize / 2,
-            screenY + this.currentTileSize / 2,
-            this.currentTileSize * 0.35,
-            0,
-            Math.PI * 2
-        );
-        this.ctx.fill();
+        if (this.selectedItem === PlayerItem.NOISEMAKER) {
+            const config = this.level.config;
+            this.renderNoisemaker(screenX, screenY, Math.min(3, Math.max(1, config.noisemakerLevel)), config.noisemakerTurns);
+            this.ctx.globalAlpha = originalAlpha;
+            return;
+        }
+        
+        // A guard would see a bomb placed here: red tile with a cross
+        if (getWatchingGuards(this.level, this.mousePos).length > 0) {
+            this.ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
+            this.ctx.fillRect(screenX, screenY, this.currentTileSize, this.currentTileSize);
+            this.ctx.strokeStyle = '#ff0000';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenX, screenY);
+            this.ctx.lineTo(screenX + this.currentTileSize, screenY + this.currentTileSize);
+            this.ctx.moveTo(screenX + this.currentTileSize, screenY);
+            this.ctx.lineTo(screenX, screenY + this.currentTileSize);
+            this.ctx.stroke();
+        }
         
-        // Draw preview timer LED (use appropriate color for current level)
+        // Draw preview bomb of the selected kind (green LED and default timer 3 on timer levels)
         const previewBombColor = this.level.config.timersAllowed ? '#00ff00' : '#ff0000'; // Green for timer levels, red for immediate
-        this.ctx.fillStyle = previewBombColor;
-        this.ctx.beginPath();
-        this.ctx.arc(
-            screenX + this.currentTileSize / 2,
-            screenY + this.currentTileSize / 2,
-            this.currentTileSize * 0.15,
-            0,
-            Math.PI * 2
+        this.renderBombIcon(
+            screenX,
+            screenY,
+            this.getSelectedKind(),
+            this.chargeDirection,
+            previewBombColor,
+            this.level.config.timersAllowed ? '3' : null
         );
-        this.ctx.fill();
-        
-        // Add timer number if applicable
-        if (this.level.config.timersAllowed) {
-            this.ctx.fillStyle = '#000';
-            this.ctx.font = `${this.currentTileSize * 0.2}px Arial`;
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
-            this.ctx.fillText(
-                '3', // Default timer value
-                screenX + this.currentTileSize / 2,
-                screenY + this.currentTileSize / 2
-            );
-        }
         
         // Show blast radius preview
         if (this.showBombPreview) {
@@ -1324,7 +2223,7 @@ class Game {
         const originalAlpha = this.ctx.globalAlpha;
         
         for (const bomb of this.bombs) {
-            this.renderBlastPattern(bomb.pos, bomb.getColor(), 0.15); // More visible
+            this.renderBlastPattern(bomb.pos, bomb.getColor(), 0.15, bomb.kind, bomb.direction); // More visible
         }
         
         this.ctx.globalAlpha = originalAlpha;
@@ -1336,18 +2235,38 @@ class Game {
         const originalAlpha = this.ctx.globalAlpha;
         
         const previewColor = this.level.config.timersAllowed ? '#00ff00' : '#ff0000';
-        this.renderBlastPattern(pos, previewColor, 0.25); // More visible for preview
+        this.renderBlastPattern(pos, previewColor, 0.25, this.getSelectedKind(), this.chargeDirection); // More visible for preview
         
         this.ctx.globalAlpha = originalAlpha;
     }
 
-    renderBlastPattern(bombPos, color, alpha) {
-        // Use circular blast radius instead of cross pattern
-        const blastRadius = Math.max(1, this.level.config.blastRange - 1); // Reduce radius by 1
-        const blastTiles = this.calculateCircularBlast(bombPos, blastRadius);
+    // Lethal charges show their blast; smoke its cloud in grey; a flashbang rings
+    // every guard close enough to hear it from where it stands on the level as shown
+    renderBlastPattern(bombPos, color, alpha, kind = BombKind.STANDARD, direction = 0) {
+        if (kind === BombKind.FLASHBANG) {
+            const soundFields = SoundFields.forGuards(this.level);
+            this.ctx.globalAlpha = Math.min(1, alpha * 3);
+            this.ctx.strokeStyle = '#ffff66';
+            this.ctx.lineWidth = 2;
+            for (const guard of this.resolution ? [] : this.level.guards) {
+                if (soundFields.getDistance(bombPos, guard.pos) > guard.hearingRadius) continue;
+                this.ctx.beginPath();
+                this.ctx.arc(
+                    guard.pos.x * this.currentTileSize + this.currentTileSize / 2,
+                    guard.pos.y * this.currentTileSize + this.currentTileSize / 2,
+                    this.currentTileSize * 0.45,
+                    0,
+                    Math.PI * 2
+                );
+                this.ctx.stroke();
+            }
+            return;
+        }
+        
+        const blastTiles = calculateChargeTiles(this.level, bombPos, kind, direction);
         
         this.ctx.globalAlpha = alpha;
-        this.ctx.fillStyle = color;
+        this.ctx.fillStyle = kind === BombKind.SMOKE ? '#aaaaaa' : color;
         
         for (const tile of blastTiles) {
             if (!this.level.isValidPosition(tile)) continue;
@@ -1360,84 +2279,67 @@ class Game {
         }
     }
 
-    calculateCircularBlast(bombPos, radius) {
-        const blastTiles = [];
-        
-        for (let x = bombPos.x - radius; x <= bombPos.x + radius; x++) {
-            for (let y = bombPos.y - radius; y <= bombPos.y + radius; y++) {
-                const pos = new Vec(x, y);
-                
-                // Calculate distance from bomb center
-                const distance = Math.sqrt(Math.pow(x - bombPos.x, 2) + Math.pow(y - bombPos.y, 2));
-                
-                // Include tiles within the circular radius
-                if (distance <= radius && this.level.isValidPosition(pos)) {
-                    // Check if there's a clear path (no walls blocking)
-                    if (this.hasLineOfSight(bombPos, pos)) {
-                        blastTiles.push(pos);
-                    }
-                }
-            }
-        }
-        
-        return blastTiles;
-    }
-
-    hasLineOfSight(start, end) {
-        // Simple line of sight check - if there's a wall directly between, block it
-        const dx = end.x - start.x;
-        const dy = end.y - start.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance === 0) return true; // Same position
-        
-        const steps = Math.max(Math.abs(dx), Math.abs(dy));
-        const stepX = dx / steps;
-        const stepY = dy / steps;
-        
-        for (let i = 1; i < steps; i++) {
-            const checkX = Math.round(start.x + stepX * i);
-            const checkY = Math.round(start.y + stepY * i);
-            const checkPos = new Vec(checkX, checkY);
-            
-            if (this.level.isValidPosition(checkPos) && 
-                this.level.grid[checkPos.y][checkPos.x] === Tile.WALL) {
-                return false;
-            }
-        }
-        
-        return true;
-    }
-
-
-    startGameOverFade() {
+    // The level stays frozen on the losing frame until the player retries or undoes
+    startGameOverFade(kills = [], delay = 0) {
         this.gameOverFade = {
-            startTime: Date.now(),
-            duration: 1000 // 1 second fade
+            startTime: Date.now() + delay,
+            duration: 1000, // 1 second fade
+            pulseDuration: 2400, // Victims pulse this long, then the frame holds still
+            kills
         };
+        this.updateUI();
         
         if (!this.animationLoopActive) {
             this.startAnimationLoop();
         }
         
-        // Reset level after fade completes
-        setTimeout(() => {
-            this.restartLevel();
-            this.gameOverFade = null;
-        }, 1200);
     }
 
     renderGameOverFade() {
         if (!this.gameOverFade) return;
         
         const elapsed = Date.now() - this.gameOverFade.startTime;
+        if (elapsed < 0) return;
         const progress = Math.min(elapsed / this.gameOverFade.duration, 1);
         
-        // Red fade overlay
+        // Red fade over the whole canvas, wherever the camera is
         const originalAlpha = this.ctx.globalAlpha;
-        this.ctx.globalAlpha = progress * 0.7; // Max 70% opacity
+        this.ctx.globalAlpha = progress * 0.45; // Max 45% opacity, the board stays readable
         this.ctx.fillStyle = '#ff0000';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(-this.camera.x, -this.camera.y, this.canvas.width, this.canvas.height);
+        this.ctx.globalAlpha = originalAlpha;
+        
+        // The blasts that killed guards stay lit through the fade, once per bomb
+        const tileSize = this.currentTileSize;
+        const litBombs = new Set();
+        this.ctx.fillStyle = 'rgba(255, 210, 80, 0.5)';
+        this.ctx.strokeStyle = '#ffd250';
+        this.ctx.lineWidth = 2;
+        for (const kill of this.gameOverFade.kills) {
+            if (litBombs.has(kill.bombId)) continue;
+            litBombs.add(kill.bombId);
+            for (const tile of kill.blastTiles) {
+                this.ctx.fillRect(tile.x * tileSize, tile.y * tileSize, tileSize, tileSize);
+                this.ctx.strokeRect(tile.x * tileSize + 1, tile.y * tileSize + 1, tileSize - 2, tileSize - 2);
+            }
+        }
+        
+        // Victims pulse, then stay ringed
+        const pulse = elapsed < this.gameOverFade.pulseDuration ? (1 - Math.cos(elapsed / 150)) / 2 : 1;
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 3;
+        this.ctx.globalAlpha = 0.5 + pulse * 0.5;
+        for (const kill of this.gameOverFade.kills) {
+            this.ctx.beginPath();
+            this.ctx.arc(
+                kill.pos.x * tileSize + tileSize / 2,
+                kill.pos.y * tileSize + tileSize / 2,
+                tileSize * (0.35 + pulse * 0.15),
+                0,
+                Math.PI * 2
+            );
+            this.ctx.stroke();
+        }
         this.ctx.globalAlpha = originalAlpha;
     }
 }
@@ -0,0 +1,1813 @@
+// Silent Charges - Simulation core
+// Turn rules with no DOM, canvas or timer dependencies. Loaded by game.js
+// through a <script> tag and by Node scripts through require().
+
+// Constants and enums
+const MAX_GRID_SIZE = 64;
+
+// Orthogonal neighbours in N, E, S, W order
+const DIRECTIONS = [{x: 0, y: -1}, {x: 1, y: 0}, {x: 0, y: 1}, {x: -1, y: 0}];
+
+const Tile = {
+    FLOOR: 0,
+    WALL: 1,
+    VOID: 2,
+    DOOR_CLOSED: 3, // Blocks movement, sound and blasts until a linked plate opens it
+    DOOR_OPEN: 4,
+    PLATE: 5,       // Walkable; toggles its linked doors when stepped on or blasted
+    CRACKED_WALL: 6 // Acts as a wall until a blast reaches it, then becomes floor
+};
+
+const BombState = {
+    TICKING: 'ticking',
+    EXPLODING: 'exploding'
+};
+
+const GameState = {
+    PLAYING: 'playing',
+    WON: 'won',
+    LOST: 'lost'
+};
+
+// Guard archetypes, set per guard through "type" in the level JSON
+const GuardType = {
+    NORMAL: 'normal',
+    RUNNER: 'runner',   // Moves 2 tiles per turn
+    DEAF: 'deaf',       // Only reacts to explosions, never to ticking
+    BRAVE: 'brave',     // Defuses ticking bombs it reaches
+    SLEEPER: 'sleeper'  // Sleeps through the first noise it hears
+};
+
+// Behaviour flags per archetype, read by simulateTurn and chooseGuardTarget
+const GUARD_ARCHETYPES = {
+    [GuardType.NORMAL]: { speed: 1, hearsTicking: true, defusesBombs: false, startsAsleep: false },
+    [GuardType.RUNNER]: { speed: 2, hearsTicking: true, defusesBombs: false, startsAsleep: false },
+    [GuardType.DEAF]: { speed: 1, hearsTicking: false, defusesBombs: false, startsAsleep: false },
+    [GuardType.BRAVE]: { speed: 1, hearsTicking: true, defusesBombs: true, startsAsleep: false },
+    [GuardType.SLEEPER]: { speed: 1, hearsTicking: true, defusesBombs: false, startsAsleep: true }
+};
+
+// Charge kinds. Standard bombs are unlimited; the others come from config.charges
+const BombKind = {
+    STANDARD: 'standard',
+    SHAPED: 'shaped',      // Blasts along one chosen direction only
+    SMOKE: 'smoke',        // No kill zone; its cloud stops sound for SMOKE_TURNS turns
+    FLASHBANG: 'flashbang' // No kill zone; freezes every guard that hears it for a turn
+};
+
+// Rules per kind, read by simulateTurn. Lethal charges kill, destroy, chain and draw guards.
+const BOMB_KINDS = {
+    [BombKind.STANDARD]: { lethal: true, smokes: false, stuns: false },
+    [BombKind.SHAPED]: { lethal: true, smokes: false, stuns: false },
+    [BombKind.SMOKE]: { lethal: false, smokes: true, stuns: false },
+    [BombKind.FLASHBANG]: { lethal: false, smokes: false, stuns: true }
+};
+
+const SMOKE_TURNS = 2;
+
+// Where a win condition stands after a turn; FAILED means it can no longer be met
+const ConditionStatus = {
+    PENDING: 'pending',
+    MET: 'met',
+    FAILED: 'failed'
+};
+
+// Win conditions by key of the level's `win` block, called with the state after a
+// turn and the block's value. The level is won once every listed condition is MET.
+const WIN_CONDITIONS = {
+    destroyAllTargets: (state, enabled) =>
+        !enabled || allTargetsDestroyed(state) ? ConditionStatus.MET : ConditionStatus.PENDING,
+    destroyTargetsByTurn: (state, turn) => {
+        if (allTargetsDestroyed(state)) return ConditionStatus.MET;
+        return state.turnIndex >= turn ? ConditionStatus.FAILED : ConditionStatus.PENDING;
+    },
+    // {x, y, w, h}; holds as long as no guard stands in the zone, so it needs another goal to end the level
+    keepGuardsOut: (state, zone) => state.level.guards.some(guard => isInZone(guard.pos, zone)) ?
+        ConditionStatus.FAILED : ConditionStatus.MET
+};
+
+// Fail conditions by key of the level's `fail` block; each returns true when the level
+// is lost. outcome is {guardsKilled, won} for the turn just resolved.
+const FAIL_CONDITIONS = {
+    noGuardDeaths: (state, enabled, outcome) => enabled && outcome.guardsKilled,
+    turnLimit: (state, limit, outcome) => !outcome.won && state.turnIndex >= limit,
+    bombBudget: (state, budget) => state.bombIdCounter > budget,
+    guardReaches: (state, tiles) => state.level.guards.some(guard => tiles.some(tile => guard.pos.x === tile.x && guard.pos.y === tile.y))
+};
+
+// Guard alert states. Idle guards stand at their post or walk their patrol; alerted ones
+// chase a sound, a seen bomb or their memory of a sound; on reaching the remembered spot
+// they search around it, then return to their post or route.
+const GuardAlert = {
+    IDLE: 'idle',
+    ALERTED: 'alerted',
+    INVESTIGATING: 'investigating',
+    RETURNING: 'returning'
+};
+
+// What a guard does on seeing a bomb placed in its sight cone, set per level through config.sightResponse
+const SightResponse = {
+    DEFUSE: 'defuse', // Walks to the bomb and defuses it once next to it
+    FAIL: 'fail'      // The level is lost on the spot
+};
+
+// How a guard walks its patrol waypoints when it has nothing to react to
+const PatrolMode = {
+    LOOP: 'loop',         // 0, 1, 2, 0, 1, 2, ...
+    PING_PONG: 'pingpong' // 0, 1, 2, 1, 0, 1, ...
+};
+
+// Blast patterns selectable per level through config.blastShape
+const BlastShape = {
+    CROSS: 'cross',     // Orthogonal rays up to blastRange, stopped by walls (brief default)
+    CIRCLE: 'circle',   // Euclidean disc of radius blastRange - 1 with line of sight
+    DIAMOND: 'diamond'  // Flood fill up to blastRange steps around walls
+};
+
+// Event types reported by placeBomb / cycleTimer / endTurn
+const SimEvent = {
+    BOMB_PLACED: 'bombPlaced',
+    BOMB_SEEN: 'bombSeen',
+    CHARGE_ROTATED: 'chargeRotated',
+    NOISEMAKER_PLACED: 'noisemakerPlaced',
+    TIMER_CYCLED: 'timerCycled',
+    BOMB_TICKED: 'bombTicked',
+    NOISE: 'noise',
+    GUARD_MOVED: 'guardMoved',
+    GUARD_WOKE: 'guardWoke',
+    GUARD_STUNNED: 'guardStunned',
+    BOMB_DEFUSED: 'bombDefused',
+    EXPLOSION: 'explosion',
+    BOMB_CHAINED: 'bombChained',
+    TARGET_HIT: 'targetHit',
+    TARGET_DESTROYED: 'targetDestroyed',
+    TARGET_ORDER_BROKEN: 'targetOrderBroken',
+    GUARD_KILLED: 'guardKilled',
+    PLATE_TRIGGERED: 'plateTriggered',
+    DOOR_TOGGLED: 'doorToggled',
+    CRATE_PUSHED: 'cratePushed',
+    WALL_DESTROYED: 'wallDestroyed',
+    NOISEMAKER_EXPIRED: 'noisemakerExpired',
+    MEMORY_UPDATED: 'memoryUpdated',
+    ALERT_CHANGED: 'alertChanged',
+    RADIO_ALERT: 'radioAlert',
+    LEVEL_WON: 'levelWon',
+    LEVEL_LOST: 'levelLost'
+};
+
+// Replay log action codes; each action is a compact array such as ['p', x, y]
+const ReplayAction = {
+    PLACE: 'p',    // ['p', x, y] place a bomb, or ['p', x, y, kind, direction] for a special charge
+    NOISE: 'n',    // ['n', x, y] place a noisemaker
+    CYCLE: 'c',    // ['c', x, y] cycle the timer of the bomb at (x, y)
+    ROTATE: 'o',   // ['o', x, y] turn the shaped charge at (x, y) clockwise
+    END_TURN: 'e', // ['e']
+    UNDO: 'u',     // ['u'] step back one entry in the player's history
+    REDO: 'r'      // ['r'] re-apply the most recently undone entry
+};
+
+const REPLAY_VERSION = 1;
+
+// Number of past states kept for undo, shared by the game and runReplay
+const UNDO_HISTORY_LIMIT = 50;
+
+// Configuration
+const DEFAULT_CONFIG = {
+    gridSize: 32,
+    blastRange: 3,
+    blastShape: BlastShape.CROSS,
+    defaultHearingRadius: 8,
+    memoryTTL: 8,
+    maxBombsPerTurn: 1,
+    chainReactions: false,
+    undoEnabled: true,
+    charges: {},        // Special charges for the whole level by kind, e.g. {shaped: 2, smoke: 1}
+    noisemakers: 0,     // Noisemakers the player may place over the whole level
+    noisemakerLevel: 2, // Noise level (1-3) a noisemaker emits
+    noisemakerTurns: 3, // Turns a noisemaker keeps emitting before it falls silent
+    sightRange: 4,      // Depth of the sight cone of guards with a facing
+    radioRadius: 6,     // Manhattan reach of guard radios, straight through walls
+    investigatePoints: 4, // Search points (N, E, S, W) a guard visits around a remembered noise; 0 skips the search
+    searchRadius: 2,    // Distance of the search points from the remembered noise
+    returnToPost: true, // Whether guards walk back to their post or route after an alert
+    sightResponse: SightResponse.DEFUSE
+};
+
+// Level goals and extra ways to lose, overridden by the level JSON's `win` and `fail` blocks
+const DEFAULT_WIN = { destroyAllTargets: true };
+const DEFAULT_FAIL = { noGuardDeaths: true };
+
+// Utility functions
+class Vec {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    equals(other) {
+        return this.x === other.x && this.y === other.y;
+    }
+
+    manhattanDistance(other) {
+        return Math.abs(this.x - other.x) + Math.abs(this.y - other.y);
+    }
+
+    clone() {
+        return new Vec(this.x, this.y);
+    }
+}
+
+// Entity classes
+class Target {
+    constructor(id, pos, hp = 1, group = null, order = 0) {
+        this.id = id;
+        this.pos = new Vec(pos.x, pos.y);
+        this.maxHp = hp;
+        this.hp = hp;           // Separate blasts still needed to destroy it
+        this.group = group;     // Ordered targets in a group must fall in ascending order
+        this.order = order;
+        this.destroyed = false;
+    }
+
+    clone() {
+        const copy = new Target(this.id, this.pos, this.maxHp, this.group, this.order);
+        copy.hp = this.hp;
+        copy.destroyed = this.destroyed;
+        return copy;
+    }
+}
+
+// Emits a fixed noise level for a number of turns and never explodes
+class Noisemaker {
+    constructor(id, pos, noiseLevel, turnsLeft) {
+        this.id = id;
+        this.pos = new Vec(pos.x, pos.y);
+        this.noiseLevel = noiseLevel;
+        this.turnsLeft = turnsLeft;
+    }
+
+    clone() {
+        return new Noisemaker(this.id, this.pos, this.noiseLevel, this.turnsLeft);
+    }
+}
+
+// Blocks movement and sound like a wall; blasts stop on it and shove it one tile
+class Crate {
+    constructor(id, pos) {
+        this.id = id;
+        this.pos = new Vec(pos.x, pos.y);
+    }
+
+    clone() {
+        return new Crate(this.id, this.pos);
+    }
+}
+
+class Bomb {
+    constructor(id, pos, hasTimer = false, kind = BombKind.STANDARD, direction = 0) {
+        this.id = id;
+        this.pos = new Vec(pos.x, pos.y);
+        this.hasTimer = hasTimer;
+        this.timer = hasTimer ? 3 : 1; // Green = 3, Yellow = 2, Red = 1
+        this.state = BombState.TICKING;
+        this.kind = BOMB_KINDS[kind] ? kind : BombKind.STANDARD;
+        this.direction = direction; // Index into DIRECTIONS, used by shaped charges
+    }
+
+    getKindRules() {
+        return BOMB_KINDS[this.kind];
+    }
+
+    getNoiseLevel() {
+        if (this.state === BombState.EXPLODING) return 4;
+        if (!this.hasTimer) return 3; // Immediate bombs are always "red" noise
+
+        // Timer to noise mapping: 3->1 (Green), 2->2 (Yellow), 1->3 (Red)
+        return 4 - this.timer;
+    }
+
+    getColor() {
+        if (!this.hasTimer) return '#ff0000'; // Red for immediate
+
+        switch (this.timer) {
+            case 3: return '#00ff00'; // Green
+            case 2: return '#ffff00'; // Yellow
+            case 1: return '#ff0000'; // Red
+            default: return '#ffffff';
+        }
+    }
+
+    cycleTimer() {
+        if (!this.hasTimer) return;
+        this.timer = this.timer === 3 ? 1 : this.timer + 1; // 3->1, 1->2, 2->3
+    }
+
+    clone() {
+        const copy = new Bomb(this.id, this.pos, this.hasTimer, this.kind, this.direction);
+        copy.timer = this.timer;
+        copy.state = this.state;
+        copy.turnPlaced = this.turnPlaced;
+        return copy;
+    }
+}
+
+class Guard {
+    constructor(id, pos, hearingRadius = DEFAULT_CONFIG.defaultHearingRadius, type = GuardType.NORMAL, patrol = null,
+        facing = null, sightRange = DEFAULT_CONFIG.sightRange) {
+        this.id = id;
+        this.pos = new Vec(pos.x, pos.y);
+        this.hearingRadius = hearingRadius;
+        this.facing = facing; // Index into DIRECTIONS, or null for a guard that only hears
+        this.sightRange = sightRange;
+        this.defuseBombId = null; // Bomb the guard saw being placed and is walking to defuse
+        this.hasRadio = false; // Passes heard explosions to, and hears them from, other radio carriers
+        this.post = this.pos; // Starting tile, returned to after an alert; shared between clones
+        this.alertState = GuardAlert.IDLE;
+        this.searchPoints = []; // Tiles still to check while investigating, never mutated in place
+        this.type = GUARD_ARCHETYPES[type] ? type : GuardType.NORMAL;
+        this.asleep = this.getArchetype().startsAsleep;
+        this.stunned = false; // Set by a flashbang; the guard loses its next turn
+        this.memory = null; // {pos: Vec, turnIndex: number}
+        this.targetPos = null; // Current movement target
+
+        // Idle patrol route: {mode, waypoints: Vec[]}, shared between clones since it never changes
+        this.patrol = patrol && patrol.waypoints && patrol.waypoints.length > 0 ? {
+            mode: patrol.mode === PatrolMode.PING_PONG ? PatrolMode.PING_PONG : PatrolMode.LOOP,
+            waypoints: patrol.waypoints.map(point => new Vec(point.x, point.y))
+        } : null;
+        this.patrolIndex = 0; // Waypoint currently walked toward
+        this.patrolDirection = 1; // Ping-pong direction through the waypoints
+        this.patrolInterrupted = false; // Set while chasing noise; resume from the nearest waypoint
+    }
+
+    getArchetype() {
+        return GUARD_ARCHETYPES[this.type];
+    }
+
+    clone() {
+        const copy = new Guard(this.id, this.pos, this.hearingRadius, this.type, null, this.facing, this.sightRange);
+        copy.defuseBombId = this.defuseBombId;
+        copy.hasRadio = this.hasRadio;
+        copy.post = this.post;
+        copy.alertState = this.alertState;
+        copy.searchPoints = this.searchPoints;
+        copy.asleep = this.asleep;
+        copy.stunned = this.stunned;
+        copy.patrol = this.patrol;
+        copy.patrolIndex = this.patrolIndex;
+        copy.patrolDirection = this.patrolDirection;
+        copy.patrolInterrupted = this.patrolInterrupted;
+        copy.memory = this.memory ? {
+            pos: this.memory.pos.clone(),
+            turnIndex: this.memory.turnIndex
+        } : null;
+        copy.targetPos = this.targetPos ? this.targetPos.clone() : null;
+        return copy;
+    }
+}
+
+// Level definition
+class Level {
+    constructor(levelData) {
+        this.id = levelData.id;
+        this.name = levelData.name;
+        this.bounds = levelData.bounds || null; // Optional bounds for backward compatibility
+        this.targets = [];
+        this.guards = [];
+        this.crates = [];
+        this.config = { ...DEFAULT_CONFIG, ...levelData.config };
+        this.conditions = {
+            win: { ...DEFAULT_WIN, ...levelData.win },
+            fail: { ...DEFAULT_FAIL, ...levelData.fail }
+        };
+        this.grid = this.createEmptyGrid();
+        this.fieldCache = new Map(); // SoundFields floods, shared with clones until the topology changes
+        this.plateLinks = new Map(); // "x,y" of a plate -> Vec[] of the doors it toggles
+        this.doors = []; // Door positions, fixed for the level; open/closed lives in the grid
+        this.crackedWalls = []; // Starting cracked wall positions; whether each still stands lives in the grid
+        this.smoke = new Map(); // "x,y" -> last turn index the smoke there still blocks sound
+
+        this.initializeFromData(levelData);
+    }
+
+    createEmptyGrid() {
+        const grid = [];
+        const gridSize = Math.min(this.config.gridSize || DEFAULT_CONFIG.gridSize, MAX_GRID_SIZE);
+        for (let y = 0; y < gridSize; y++) {
+            grid[y] = [];
+            for (let x = 0; x < gridSize; x++) {
+                grid[y][x] = Tile.VOID;
+            }
+        }
+        return grid;
+    }
+
+    initializeFromData(levelData) {
+        // Load grid data directly if available, otherwise parse ASCII layout
+        if (levelData.grid && Array.isArray(levelData.grid)) {
+            // Load from grid array
+            for (let y = 0; y < Math.min(levelData.grid.length, this.config.gridSize); y++) {
+                for (let x = 0; x < Math.min(levelData.grid[y].length, this.config.gridSize); x++) {
+                    this.grid[y][x] = levelData.grid[y][x];
+                }
+            }
+        } else if (levelData.layout) {
+            // Parse ASCII layout (for backward compatibility)
+            this.parseASCIILayout(levelData.layout);
+        }
+
+        for (let y = 0; y < this.grid.length; y++) {
+            for (let x = 0; x < this.grid[y].length; x++) {
+                if (this.isDoor(new Vec(x, y))) this.doors.push(new Vec(x, y));
+                if (this.grid[y][x] === Tile.CRACKED_WALL) this.crackedWalls.push(new Vec(x, y));
+            }
+        }
+
+        // Plate -> door links; links to tiles that are not plates or doors are ignored
+        for (const link of levelData.links || []) {
+            const plate = new Vec(link.plate.x, link.plate.y);
+            if (!this.isPlate(plate)) continue;
+            const doors = (link.doors || []).map(door => new Vec(door.x, door.y)).filter(door => this.isDoor(door));
+            const key = `${plate.x},${plate.y}`;
+            this.plateLinks.set(key, [...(this.plateLinks.get(key) || []), ...doors]);
+        }
+
+        // Add targets
+        levelData.targets.forEach((targetData, index) => {
+            const group = targetData.group !== undefined ? targetData.group : null;
+            this.targets.push(new Target(index, new Vec(targetData.x, targetData.y), targetData.hp || 1, group, targetData.order || 0));
+        });
+
+        // Add crates
+        (levelData.crates || []).forEach((crateData, index) => {
+            this.crates.push(new Crate(index, new Vec(crateData.x, crateData.y)));
+        });
+
+        // Add guards
+        levelData.guards.forEach((guardData, index) => {
+            const hearingRadius = guardData.hearingRadius || this.config.defaultHearingRadius;
+            const facing = guardData.facing !== undefined && DIRECTIONS[guardData.facing] ? guardData.facing : null;
+            const guard = new Guard(index, new Vec(guardData.x, guardData.y), hearingRadius,
+                guardData.type, guardData.patrol, facing, guardData.sightRange || this.config.sightRange);
+            guard.hasRadio = !!guardData.hasRadio;
+            this.guards.push(guard);
+        });
+    }
+
+    parseASCIILayout(layout) {
+        const lines = layout.trim().split('\n');
+        const startY = this.bounds ? this.bounds.y : 0;
+        const startX = this.bounds ? this.bounds.x : 0;
+
+        for (let row = 0; row < lines.length; row++) {
+            const line = lines[row];
+            for (let col = 0; col < line.length; col++) {
+                const x = startX + col;
+                const y = startY + row;
+
+                if (x >= this.config.gridSize || y >= this.config.gridSize) continue;
+
+                const char = line[col];
+                switch (char) {
+                    case '#':
+                        this.grid[y][x] = Tile.WALL;
+                        break;
+                    case '.':
+                    case 'G':
+                    case 'T':
+                    case 'S':
+                        this.grid[y][x] = Tile.FLOOR;
+                        break;
+                    default:
+                        this.grid[y][x] = Tile.VOID;
+                }
+            }
+        }
+    }
+
+    // Copy with its own grid and entities; config and conditions are shared since they never change
+    clone() {
+        const copy = Object.create(Level.prototype);
+        copy.id = this.id;
+        copy.name = this.name;
+        copy.bounds = this.bounds;
+        copy.config = this.config;
+        copy.conditions = this.conditions;
+        copy.grid = this.grid.map(row => [...row]);
+        copy.fieldCache = this.fieldCache;
+        copy.plateLinks = this.plateLinks;
+        copy.doors = this.doors;
+        copy.crackedWalls = this.crackedWalls;
+        copy.smoke = new Map(this.smoke);
+        copy.targets = this.targets.map(target => target.clone());
+        copy.guards = this.guards.map(guard => guard.clone());
+        copy.crates = this.crates.map(crate => crate.clone());
+        return copy;
+    }
+
+    isDoor(pos) {
+        if (!this.isValidPosition(pos)) return false;
+        const tile = this.grid[pos.y][pos.x];
+        return tile === Tile.DOOR_CLOSED || tile === Tile.DOOR_OPEN;
+    }
+
+    isPlate(pos) {
+        return this.isValidPosition(pos) && this.grid[pos.y][pos.x] === Tile.PLATE;
+    }
+
+    // Toggle the doors linked to the plate at pos and return the ones that changed.
+    // A door with a guard or crate in it is jammed and stays open.
+    triggerPlate(pos) {
+        const toggled = [];
+        for (const door of this.plateLinks.get(`${pos.x},${pos.y}`) || []) {
+            const tile = this.grid[door.y][door.x];
+            if (tile === Tile.DOOR_OPEN && (this.isOccupiedByGuard(door) || this.isOccupiedByCrate(door))) continue;
+            this.grid[door.y][door.x] = tile === Tile.DOOR_OPEN ? Tile.DOOR_CLOSED : Tile.DOOR_OPEN;
+            toggled.push(door);
+        }
+        if (toggled.length > 0) this.markTopologyChanged();
+        return toggled;
+    }
+
+    // Call after changing the grid, crates, smoke or the set of standing targets. Clones
+    // share the floods built so far until one of them changes, which starts its own cache.
+    markTopologyChanged() {
+        this.fieldCache = new Map();
+    }
+
+    isValidPosition(pos) {
+        return pos.x >= 0 && pos.x < this.config.gridSize && pos.y >= 0 && pos.y < this.config.gridSize;
+    }
+
+    isPassable(pos) {
+        if (!this.isValidPosition(pos)) return false;
+        const tile = this.grid[pos.y][pos.x];
+        if (tile !== Tile.FLOOR && tile !== Tile.PLATE && tile !== Tile.DOOR_OPEN) return false;
+        return !this.isOccupiedByCrate(pos);
+    }
+
+    // Sound spreads over passable tiles that are not filled with smoke
+    carriesSound(pos) {
+        return this.isPassable(pos) && !this.smoke.has(`${pos.x},${pos.y}`);
+    }
+
+    isOccupiedByTarget(pos) {
+        return this.targets.some(target => !target.destroyed && target.pos.equals(pos));
+    }
+
+    // Whether a blast may damage this target: every earlier target of its group is destroyed
+    isTargetInOrder(target) {
+        if (target.group === null) return true;
+        return this.targets.every(other =>
+            other.group !== target.group || other.order >= target.order || other.destroyed);
+    }
+
+    isOccupiedByGuard(pos) {
+        return this.guards.some(guard => guard.pos.equals(pos));
+    }
+
+    isOccupiedByCrate(pos) {
+        return this.crates.some(crate => crate.pos.equals(pos));
+    }
+
+    canPlaceBomb(pos) {
+        if (!this.isValidPosition(pos)) return false;
+        const tile = this.grid[pos.y][pos.x];
+        if (tile !== Tile.FLOOR && tile !== Tile.PLATE) return false;
+        if (this.isOccupiedByTarget(pos)) return false;
+        if (this.isOccupiedByGuard(pos)) return false;
+        if (this.isOccupiedByCrate(pos)) return false;
+        return true;
+    }
+}
+
+// Sound propagation
+//
+// One bounded BFS flood per noise source over passable tiles, so walls block sound
+// exactly as they block guards. Fields are built on first use and kept in the level's
+// field cache, so every guard, later turns and copies of the level reuse them until
+// the topology changes. forWalking builds the same kind of field rooted at a guard
+// for its walking distances.
+class SoundFields {
+    constructor(level, maxRadius, walking = false) {
+        this.level = level;
+        this.maxRadius = maxRadius;
+        this.walking = walking;
+        this.size = level.grid.length;
+        this.prefix = `${walking ? 'walk' : 'sound'}${maxRadius}:`; // Field cache keys are prefix + "x,y"
+    }
+
+    static forGuards(level) {
+        const maxRadius = Math.max(0, ...level.guards.map(guard => guard.hearingRadius));
+        return new SoundFields(level, maxRadius);
+    }
+
+    // Walking distances for guards: the same floods over passable tiles, smoke or not, with no radius
+    static forWalking(level) {
+        return new SoundFields(level, Infinity, true);
+    }
+
+    // Int16Array of distances from origin, -1 = not reached
+    getField(origin) {
+        const fields = this.level.fieldCache;
+        const key = `${this.prefix}${origin.x},${origin.y}`;
+        let field = fields.get(key);
+        if (!field) {
+            field = this.flood(origin);
+            fields.set(key, field);
+        }
+        return field;
+    }
+
+    flood(origin) {
+        const field = new Int16Array(this.size * this.size).fill(-1);
+        if (!this.isInside(origin)) return field;
+
+        field[origin.y * this.size + origin.x] = 0;
+        let frontier = [origin];
+
+        for (let distance = 1; distance <= this.maxRadius && frontier.length > 0; distance++) {
+            const nextFrontier = [];
+            for (const pos of frontier) {
+                for (const dir of DIRECTIONS) {
+                    const neighbor = new Vec(pos.x + dir.x, pos.y + dir.y);
+                    if (!this.isInside(neighbor) || !this.carries(neighbor)) continue;
+
+                    const index = neighbor.y * this.size + neighbor.x;
+                    if (field[index] !== -1) continue;
+                    field[index] = distance;
+                    nextFrontier.push(neighbor);
+                }
+            }
+            frontier = nextFrontier;
+        }
+
+        return field;
+    }
+
+    carries(pos) {
+        return this.walking ? this.level.isPassable(pos) : this.level.carriesSound(pos);
+    }
+
+    isInside(pos) {
+        return pos.x >= 0 && pos.x < this.size && pos.y >= 0 && pos.y < this.size;
+    }
+
+    // Path distance from a source to pos; Infinity if unreachable or beyond maxRadius
+    getDistance(source, pos) {
+        if (source.equals(pos)) return 0;
+        if (!this.isInside(pos)) return Infinity;
+
+        const distance = this.getField(source)[pos.y * this.size + pos.x];
+        return distance === -1 ? Infinity : distance;
+    }
+
+    // The neighbor of start one step nearer target on the field rooted at target, or start
+    // when target is out of reach. Ties go to the neighbor nearer target in a straight line,
+    // then the lower row, then the lower column.
+    getNextStep(start, target) {
+        if (start.equals(target) || !this.level.isPassable(target)) return start;
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const dir of DIRECTIONS) {
+            const neighbor = new Vec(start.x + dir.x, start.y + dir.y);
+            if (!this.level.isPassable(neighbor)) continue;
+
+            const distance = this.getDistance(target, neighbor);
+            if (distance === Infinity) continue;
+            if (distance < bestDistance || (distance === bestDistance && compareSteps(neighbor, best, target) < 0)) {
+                best = neighbor;
+                bestDistance = distance;
+            }
+        }
+        return best || start;
+    }
+}
+
+function compareSteps(a, b, target) {
+    const straight = a.manhattanDistance(target) - b.manhattanDistance(target);
+    if (straight !== 0) return straight;
+    return a.y !== b.y ? a.y - b.y : a.x - b.x;
+}
+
+// Simulation state
+//
+// A state is a plain object: {level, bombs, noisemakers, noisemakersUsed, chargesUsed,
+// turnIndex, gameState, bombIdCounter}.
+// placeBomb / cycleTimer / endTurn never mutate the state they are given; they
+// return {state, events} where state is a fresh copy (or the same object when
+// the action was rejected) and events describes what happened, in order. Each
+// player action is built on an *InPlace variant that changes the state it is given.
+
+function createState(levelData) {
+    return {
+        level: new Level(levelData),
+        bombs: [],
+        noisemakers: [],
+        noisemakersUsed: 0,
+        chargesUsed: {}, // Special charges placed so far, by kind
+        turnIndex: 0,
+        gameState: GameState.PLAYING,
+        bombIdCounter: 0
+    };
+}
+
+function cloneState(state) {
+    return {
+        level: state.level.clone(),
+        bombs: state.bombs.map(bomb => bomb.clone()),
+        noisemakers: state.noisemakers.map(noisemaker => noisemaker.clone()),
+        noisemakersUsed: state.noisemakersUsed,
+        chargesUsed: { ...state.chargesUsed },
+        turnIndex: state.turnIndex,
+        gameState: state.gameState,
+        bombIdCounter: state.bombIdCounter
+    };
+}
+
+// Special charges left for the level, by kind
+function getChargesLeft(state, kind) {
+    if (kind === BombKind.STANDARD) return Infinity;
+    return (state.level.config.charges[kind] || 0) - (state.chargesUsed[kind] || 0);
+}
+
+function canPlaceBomb(state, pos, kind = BombKind.STANDARD) {
+    if (state.gameState !== GameState.PLAYING) return false;
+    if (!BOMB_KINDS[kind] || getChargesLeft(state, kind) <= 0) return false;
+    if (!state.level.canPlaceBomb(pos)) return false;
+    if (state.noisemakers.some(noisemaker => noisemaker.pos.equals(pos))) return false;
+
+    // Check bomb limits
+    if (state.bombs.length >= state.level.config.maxActiveBombs) return false;
+
+    const bombsThisTurn = state.bombs.filter(bomb => bomb.turnPlaced === state.turnIndex).length;
+    if (bombsThisTurn >= state.level.config.maxBombsPerTurn) return false;
+
+    return true;
+}
+
+function placeBomb(state, pos, kind = BombKind.STANDARD, direction = 0) {
+    return onCopy(state, next => placeBombInPlace(next, pos, kind, direction));
+}
+
+function placeBombInPlace(state, pos, kind = BombKind.STANDARD, direction = 0) {
+    if (!canPlaceBomb(state, pos, kind)) return null;
+
+    const bomb = new Bomb(state.bombIdCounter++, pos, state.level.config.timersAllowed, kind, direction % DIRECTIONS.length);
+    bomb.turnPlaced = state.turnIndex;
+    state.bombs.push(bomb);
+    if (kind !== BombKind.STANDARD) state.chargesUsed[kind] = (state.chargesUsed[kind] || 0) + 1;
+    const events = [{ type: SimEvent.BOMB_PLACED, bombId: bomb.id, pos: bomb.pos.clone(), kind }];
+
+    // Guards watching the tile see the bomb go down
+    for (const guard of getWatchingGuards(state.level, pos)) {
+        events.push({ type: SimEvent.BOMB_SEEN, bombId: bomb.id, guardId: guard.id });
+        if (guard.defuseBombId === null) guard.defuseBombId = bomb.id;
+    }
+    if (events.length > 1 && state.level.config.sightResponse === SightResponse.FAIL) {
+        state.gameState = GameState.LOST;
+        events.push({ type: SimEvent.LEVEL_LOST, condition: 'bombSeen' });
+    }
+
+    return events;
+}
+
+// Turn the shaped charge at pos a quarter clockwise (N -> E -> S -> W)
+function rotateCharge(state, pos) {
+    return onCopy(state, next => rotateChargeInPlace(next, pos));
+}
+
+function rotateChargeInPlace(state, pos) {
+    if (state.gameState !== GameState.PLAYING) return null;
+
+    const bomb = state.bombs.find(other => other.pos.equals(pos) && other.kind === BombKind.SHAPED);
+    if (!bomb) return null;
+    bomb.direction = (bomb.direction + 1) % DIRECTIONS.length;
+
+    return [{ type: SimEvent.CHARGE_ROTATED, bombId: bomb.id, direction: bomb.direction }];
+}
+
+// Noisemakers have their own per-level budget and do not count against bomb limits
+function canPlaceNoisemaker(state, pos) {
+    if (state.gameState !== GameState.PLAYING) return false;
+    if (state.noisemakersUsed >= state.level.config.noisemakers) return false;
+    if (!state.level.canPlaceBomb(pos)) return false;
+    if (state.bombs.some(bomb => bomb.pos.equals(pos))) return false;
+    if (state.noisemakers.some(noisemaker => noisemaker.pos.equals(pos))) return false;
+    return true;
+}
+
+function placeNoisemaker(state, pos) {
+    return onCopy(state, next => placeNoisemakerInPlace(next, pos));
+}
+
+function placeNoisemakerInPlace(state, pos) {
+    if (!canPlaceNoisemaker(state, pos)) return null;
+
+    const config = state.level.config;
+    const noiseLevel = Math.min(3, Math.max(1, config.noisemakerLevel));
+    const noisemaker = new Noisemaker(state.noisemakersUsed++, pos, noiseLevel, config.noisemakerTurns);
+    state.noisemakers.push(noisemaker);
+
+    return [{ type: SimEvent.NOISEMAKER_PLACED, noisemakerId: noisemaker.id, pos: noisemaker.pos.clone() }];
+}
+
+// Cycle the timer of the bomb at pos (timer levels only)
+function cycleTimer(state, pos) {
+    return onCopy(state, next => cycleTimerInPlace(next, pos));
+}
+
+function cycleTimerInPlace(state, pos) {
+    if (state.gameState !== GameState.PLAYING || !state.level.config.timersAllowed) return null;
+
+    const bomb = state.bombs.find(other => other.pos.equals(pos) && other.hasTimer);
+    if (!bomb) return null;
+    bomb.cycleTimer();
+
+    return [{ type: SimEvent.TIMER_CYCLED, bombId: bomb.id, timer: bomb.timer }];
+}
+
+// Run an in-place player action on a copy of state. The *InPlace functions return
+// the events, or null when they reject the action and leave the state untouched.
+function onCopy(state, applyInPlace) {
+    const next = cloneState(state);
+    const events = applyInPlace(next);
+    return events ? { state: next, events } : { state, events: [] };
+}
+
+function endTurn(state) {
+    if (state.gameState !== GameState.PLAYING) return { state, events: [] };
+
+    const next = cloneState(state);
+    const events = [];
+    simulateTurn(next, events);
+    return { state: next, events };
+}
+
+// Resolve one turn in place. Callers should pass a copy (see endTurn).
+function simulateTurn(state, events = []) {
+    const level = state.level;
+    const soundFields = SoundFields.forGuards(level);
+    const walkFields = SoundFields.forWalking(level);
+
+    state.turnIndex++;
+
+    // Smoke from earlier turns thins out
+    const smokeBefore = level.smoke.size;
+    for (const [key, lastTurn] of level.smoke) {
+        if (lastTurn < state.turnIndex) level.smoke.delete(key);
+    }
+    if (level.smoke.size !== smokeBefore) level.markTopologyChanged();
+
+    // A bomb without a timer goes off before anyone moves, so a guard that saw it placed
+    // defuses it only from on or next to its tile, before it detonates below
+    for (const guard of level.guards) {
+        if (guard.defuseBombId === null || guard.stunned) continue;
+        const bomb = state.bombs.find(other => other.id === guard.defuseBombId);
+        if (!bomb || (level.config.timersAllowed && bomb.hasTimer) || bomb.pos.manhattanDistance(guard.pos) > 1) continue;
+
+        events.push({ type: SimEvent.BOMB_DEFUSED, bombId: bomb.id, guardId: guard.id });
+        state.bombs = state.bombs.filter(other => other !== bomb);
+    }
+
+    // Phase 1: Tick bombs and collect noise sources
+    const tickingSources = [];
+    const explodingSources = [];
+
+    for (const bomb of state.bombs) {
+        if (level.config.timersAllowed && bomb.hasTimer) {
+            if (bomb.timer > 1) {
+                bomb.timer--;
+                tickingSources.push({pos: bomb.pos, level: bomb.getNoiseLevel()});
+            } else { // timer === 1
+                tickingSources.push({pos: bomb.pos, level: bomb.getNoiseLevel()});
+                bomb.state = BombState.EXPLODING;
+                if (bomb.getKindRules().lethal) explodingSources.push({pos: bomb.pos, level: 4, chainDepth: 0});
+            }
+            events.push({ type: SimEvent.BOMB_TICKED, bombId: bomb.id, timer: bomb.timer });
+        } else {
+            // No timers - bomb explodes immediately next turn
+            bomb.state = BombState.EXPLODING;
+            if (bomb.getKindRules().lethal) explodingSources.push({pos: bomb.pos, level: 4, chainDepth: 0});
+        }
+    }
+
+    // Noisemakers join the ticking sources, so guards weigh them with the usual tie-breaks
+    for (const noisemaker of state.noisemakers) {
+        tickingSources.push({pos: noisemaker.pos, level: noisemaker.noiseLevel});
+        noisemaker.turnsLeft--;
+    }
+
+    // Ticking noise is reported with the distance field guards choose their targets on;
+    // explosions are reported in phase 5, once the blasts have changed the level
+    for (const source of tickingSources) {
+        events.push({ type: SimEvent.NOISE, pos: source.pos.clone(), level: source.level, chainDepth: null, field: soundFields.getField(source.pos) });
+    }
+
+    // Phase 2: Guard target selection
+    const wokenGuards = new Set(); // Sleepers ignore the noise that wakes them, memory included
+    const alertBefore = new Map(level.guards.map(guard => [guard.id, guard.alertState]));
+
+    for (const guard of level.guards) {
+        const target = chooseGuardTarget(soundFields, guard, tickingSources, explodingSources);
+        const seenBomb = state.bombs.find(bomb => bomb.id === guard.defuseBombId && bomb.state === BombState.TICKING);
+        if (!seenBomb) guard.defuseBombId = null;
+
+        if (guard.stunned) {
+            guard.stunned = false; // Dazed by last turn's flashbang: no move this turn
+            guard.targetPos = null;
+        } else if (seenBomb) {
+            // A bomb seen being placed outranks anything heard
+            guard.targetPos = seenBomb.pos;
+            guard.alertState = GuardAlert.ALERTED;
+            guard.patrolInterrupted = guard.patrol !== null;
+        } else if (target && guard.asleep) {
+            guard.asleep = false;
+            guard.targetPos = null;
+            wokenGuards.add(guard.id);
+            events.push({ type: SimEvent.GUARD_WOKE, guardId: guard.id });
+        } else if (target) {
+            guard.memory = null; // Clear memory when actively pursuing
+            guard.targetPos = target.pos;
+            guard.alertState = GuardAlert.ALERTED;
+            guard.patrolInterrupted = guard.patrol !== null;
+        } else {
+            guard.targetPos = followAlertState(level, walkFields, guard, state.turnIndex);
+        }
+    }
+
+    for (const guard of level.guards) {
+        const from = alertBefore.get(guard.id);
+        if (from !== guard.alertState) {
+            events.push({ type: SimEvent.ALERT_CHANGED, guardId: guard.id, from, to: guard.alertState });
+        }
+    }
+
+    // Phase 3: Movement. Every guard takes one step and the conflicts are resolved; faster
+    // archetypes then take their extra steps in further rounds while the others hold still.
+    const maxSpeed = Math.max(1, ...level.guards.map(guard => guard.getArchetype().speed));
+    const steppedPlates = [];
+
+    for (let step = 0; step < maxSpeed; step++) {
+        const proposals = new Map();
+        for (const guard of level.guards) {
+            const moving = guard.targetPos && step < guard.getArchetype().speed;
+            proposals.set(guard.id, moving ? walkFields.getNextStep(guard.pos, guard.targetPos) : guard.pos);
+        }
+
+        const previousPositions = new Map(level.guards.map(guard => [guard.id, guard.pos]));
+        resolveMovementConflicts(level, proposals);
+
+        for (const guard of level.guards) {
+            const from = previousPositions.get(guard.id);
+            if (!from.equals(guard.pos)) {
+                events.push({ type: SimEvent.GUARD_MOVED, guardId: guard.id, from: from.clone(), to: guard.pos.clone(), step });
+                if (level.isPlate(guard.pos)) steppedPlates.push(guard.pos);
+            }
+        }
+    }
+
+    // Plates fire once per turn at most; doors change after all guards have moved
+    const triggeredPlates = new Set();
+    triggerPlates(level, steppedPlates, triggeredPlates, events);
+
+    // Guards that walked onto the spot they remembered start searching it this turn
+    for (const guard of level.guards) {
+        const memory = guard.memory;
+        if (guard.alertState !== GuardAlert.ALERTED || !memory || !guard.pos.equals(memory.pos) || !memory.pos.equals(guard.targetPos)) continue;
+
+        startSearch(level, walkFields, guard);
+        events.push({ type: SimEvent.ALERT_CHANGED, guardId: guard.id, from: GuardAlert.ALERTED, to: guard.alertState });
+    }
+
+    // Brave guards defuse ticking bombs on or next to their tile, and any guard the bomb it
+    // saw being placed (bombs already going off are too late)
+    for (const guard of level.guards) {
+        const brave = guard.getArchetype().defusesBombs;
+        if (!brave && guard.defuseBombId === null) continue;
+
+        const defused = state.bombs.filter(bomb =>
+            bomb.state === BombState.TICKING && bomb.pos.manhattanDistance(guard.pos) <= 1 &&
+            (brave || bomb.id === guard.defuseBombId));
+        for (const bomb of defused) {
+            events.push({ type: SimEvent.BOMB_DEFUSED, bombId: bomb.id, guardId: guard.id });
+        }
+        state.bombs = state.bombs.filter(bomb => !defused.includes(bomb));
+    }
+
+    // Phase 4: Handle explosions
+    // Bombs go off in id order. With chain reactions enabled, a ticking bomb caught in
+    // a blast joins the end of the queue and detonates this same turn, so the order is
+    // breadth-first by chain depth. Within a depth, bombs follow the order of the blasts
+    // that caught them, in id order per blast, not one id order across the depth.
+    let anyGuardKilled = false;
+    let orderBroken = false;
+    const killedGuards = new Set();
+    const blastedPlates = [];
+    const crumbledWalls = new Map();
+    const blasts = [];
+    const explodingBombs = state.bombs.filter(bomb => bomb.state === BombState.EXPLODING);
+    const chainDepths = new Map(explodingBombs.map(bomb => [bomb.id, 0]));
+
+    for (let i = 0; i < explodingBombs.length; i++) {
+        const bomb = explodingBombs[i];
+        const rules = bomb.getKindRules();
+        const blastTiles = calculateChargeTiles(level, bomb.pos, bomb.kind, bomb.direction);
+        const chainDepth = chainDepths.get(bomb.id);
+        events.push({ type: SimEvent.EXPLOSION, bombId: bomb.id, pos: bomb.pos.clone(), blastTiles, chainDepth, kind: bomb.kind });
+
+        if (rules.smokes) {
+            for (const tile of blastTiles) {
+                level.smoke.set(`${tile.x},${tile.y}`, state.turnIndex + SMOKE_TURNS);
+            }
+            level.markTopologyChanged();
+        }
+        if (rules.stuns) {
+            for (const guard of level.guards) {
+                if (soundFields.getDistance(bomb.pos, guard.pos) > guard.hearingRadius) continue;
+                guard.stunned = true;
+                events.push({ type: SimEvent.GUARD_STUNNED, guardId: guard.id, bombId: bomb.id });
+            }
+        }
+        if (!rules.lethal) continue;
+
+        blasts.push({ bomb, blastTiles });
+
+        if (level.config.chainReactions) {
+            const chained = state.bombs.filter(other =>
+                other.state === BombState.TICKING && blastTiles.some(tile => tile.equals(other.pos)));
+
+            for (const other of chained) {
+                other.state = BombState.EXPLODING;
+                if (other.getKindRules().lethal) explodingSources.push({pos: other.pos, level: 4, chainDepth: chainDepth + 1});
+                explodingBombs.push(other);
+                chainDepths.set(other.id, chainDepth + 1);
+                events.push({ type: SimEvent.BOMB_CHAINED, bombId: other.id, byBombId: bomb.id });
+            }
+        }
+
+        // Damage targets, lowest order first so one blast can clear a sequence. Armored
+        // targets lose one hp per blast; hitting an ordered target before the earlier
+        // ones of its group are gone breaks the sequence and fails the level.
+        const hitTargets = level.targets
+            .filter(target => !target.destroyed && blastTiles.some(tile => tile.equals(target.pos)))
+            .sort((a, b) => a.order - b.order);
+        for (const target of hitTargets) {
+            if (!level.isTargetInOrder(target)) {
+                orderBroken = true;
+                events.push({ type: SimEvent.TARGET_ORDER_BROKEN, targetId: target.id, bombId: bomb.id });
+                continue;
+            }
+
+            target.hp--;
+            if (target.hp > 0) {
+                events.push({ type: SimEvent.TARGET_HIT, targetId: target.id, bombId: bomb.id, hp: target.hp });
+                continue;
+            }
+            target.destroyed = true;
+            level.markTopologyChanged();
+            events.push({ type: SimEvent.TARGET_DESTROYED, targetId: target.id, bombId: bomb.id });
+        }
+
+        // Check for guard casualties; a guard caught by several blasts is killed by the first
+        for (const guard of level.guards) {
+            if (!killedGuards.has(guard.id) && blastTiles.some(tile => tile.equals(guard.pos))) {
+                anyGuardKilled = true;
+                killedGuards.add(guard.id);
+                events.push({ type: SimEvent.GUARD_KILLED, guardId: guard.id, bombId: bomb.id, pos: guard.pos.clone() });
+            }
+        }
+
+        blastedPlates.push(...blastTiles.filter(tile => level.isPlate(tile)));
+
+        for (const tile of blastTiles) {
+            if (level.grid[tile.y][tile.x] === Tile.CRACKED_WALL && !crumbledWalls.has(`${tile.x},${tile.y}`)) {
+                crumbledWalls.set(`${tile.x},${tile.y}`, tile);
+                events.push({ type: SimEvent.WALL_DESTROYED, pos: tile.clone(), bombId: bomb.id });
+            }
+        }
+    }
+
+    // Cracked walls fall after the whole chain like doors; the new floor is in the
+    // grid before the memory update, so sound and paths use the opening this turn
+    for (const tile of crumbledWalls.values()) {
+        level.grid[tile.y][tile.x] = Tile.FLOOR;
+    }
+    if (crumbledWalls.size > 0) level.markTopologyChanged();
+
+    // Doors toggled by blasts change after the whole chain, so every blast this turn sees the same doors
+    triggerPlates(level, blastedPlates, triggeredPlates, events);
+
+    state.bombs = state.bombs.filter(bomb => bomb.state !== BombState.EXPLODING);
+
+    for (const noisemaker of state.noisemakers.filter(n => n.turnsLeft <= 0)) {
+        events.push({ type: SimEvent.NOISEMAKER_EXPIRED, noisemakerId: noisemaker.id });
+    }
+    state.noisemakers = state.noisemakers.filter(noisemaker => noisemaker.turnsLeft > 0);
+
+    // Crates caught in a blast slide one tile away from the bomb, once per turn, in bomb order
+    pushCrates(state, blasts, events);
+
+    // On levels that allow guard deaths the dead leave the board
+    if (!level.conditions.fail.noGuardDeaths) {
+        level.guards = level.guards.filter(guard => !killedGuards.has(guard.id));
+    }
+
+    // Phase 5: Update guard memory
+    for (const source of explodingSources) {
+        events.push({ type: SimEvent.NOISE, pos: source.pos.clone(), level: source.level, chainDepth: source.chainDepth, field: soundFields.getField(source.pos) });
+    }
+
+    const heardExplosion = [];
+    for (const guard of level.guards) {
+        if (wokenGuards.has(guard.id)) continue;
+
+        const distances = new Map(explodingSources.map(explosion =>
+            [explosion, soundFields.getDistance(explosion.pos, guard.pos)]));
+        const audibleExplosions = explodingSources.filter(explosion => distances.get(explosion) <= guard.hearingRadius);
+
+        if (audibleExplosions.length > 0 && guard.asleep) {
+            // Only reachable through a chained explosion the sleeper could not hear in phase 2
+            guard.asleep = false;
+            wokenGuards.add(guard.id);
+            events.push({ type: SimEvent.GUARD_WOKE, guardId: guard.id });
+        } else if (audibleExplosions.length > 0) {
+            // Choose closest explosion, with tie-breaking
+            audibleExplosions.sort((a, b) => {
+                const distA = distances.get(a);
+                const distB = distances.get(b);
+                if (distA !== distB) return distA - distB;
+                if (a.pos.y !== b.pos.y) return a.pos.y - b.pos.y;
+                return a.pos.x - b.pos.x;
+            });
+
+            guard.memory = {
+                pos: audibleExplosions[0].pos.clone(),
+                turnIndex: state.turnIndex
+            };
+            events.push({ type: SimEvent.MEMORY_UPDATED, guardId: guard.id, pos: guard.memory.pos.clone() });
+            heardExplosion.push(guard);
+        } else if (guard.memory && (state.turnIndex - guard.memory.turnIndex) > level.config.memoryTTL) {
+            guard.memory = null;
+        }
+    }
+
+    // Radio: a carrier that heard an explosion passes what it remembers to every other
+    // awake carrier in radio range, walls or not. A guard that heard for itself keeps
+    // its own memory; the others take the nearest caller's, lowest id on ties.
+    const callers = heardExplosion.filter(guard => guard.hasRadio);
+    for (const guard of level.guards) {
+        if (!guard.hasRadio || guard.asleep || wokenGuards.has(guard.id) || heardExplosion.includes(guard)) continue;
+
+        const inRange = callers.filter(caller => caller.pos.manhattanDistance(guard.pos) <= level.config.radioRadius);
+        if (inRange.length === 0) continue;
+        inRange.sort((a, b) =>
+            a.pos.manhattanDistance(guard.pos) - b.pos.manhattanDistance(guard.pos) || a.id - b.id);
+
+        guard.memory = {
+            pos: inRange[0].memory.pos.clone(),
+            turnIndex: state.turnIndex
+        };
+        events.push({ type: SimEvent.RADIO_ALERT, fromGuardId: inRange[0].id, toGuardId: guard.id, pos: guard.memory.pos.clone() });
+        events.push({ type: SimEvent.MEMORY_UPDATED, guardId: guard.id, pos: guard.memory.pos.clone() });
+    }
+
+    // Phase 6: Check win/lose conditions from the level's win and fail blocks. A broken
+    // target order always loses, whatever the level lists.
+    const outcome = evaluateConditions(state, anyGuardKilled);
+    if (orderBroken || outcome.failed) {
+        state.gameState = GameState.LOST;
+        events.push({ type: SimEvent.LEVEL_LOST, condition: orderBroken ? 'targetOrder' : outcome.failed });
+    } else if (outcome.won) {
+        state.gameState = GameState.WON;
+        events.push({ type: SimEvent.LEVEL_WON });
+    }
+
+    return events;
+}
+
+function allTargetsDestroyed(state) {
+    return state.level.targets.every(target => target.destroyed);
+}
+
+function isInZone(pos, zone) {
+    return pos.x >= zone.x && pos.x < zone.x + zone.w && pos.y >= zone.y && pos.y < zone.y + zone.h;
+}
+
+// Evaluate the level's conditions after a turn. Returns {won, failed}, where failed is
+// the key of the win or fail condition that lost the level, or null.
+function evaluateConditions(state, guardsKilled = false) {
+    const { win, fail } = state.level.conditions;
+
+    let won = true;
+    for (const [name, value] of Object.entries(win)) {
+        if (!WIN_CONDITIONS[name]) continue;
+        const status = WIN_CONDITIONS[name](state, value);
+        if (status === ConditionStatus.FAILED) return { won: false, failed: name };
+        if (status !== ConditionStatus.MET) won = false;
+    }
+
+    const outcome = { guardsKilled, won };
+    for (const [name, value] of Object.entries(fail)) {
+        if (FAIL_CONDITIONS[name] && FAIL_CONDITIONS[name](state, value, outcome)) return { won: false, failed: name };
+    }
+    return { won, failed: null };
+}
+
+// Target for a guard with nothing to chase this turn, stepping its alert state: walk to
+// a remembered noise, search the points around it, then head back to the post or route.
+// Returns null to stay in place.
+function followAlertState(level, walkFields, guard, turnIndex) {
+    const config = level.config;
+
+    if (guard.memory && (turnIndex - guard.memory.turnIndex) <= config.memoryTTL) {
+        if (!guard.pos.equals(guard.memory.pos)) {
+            guard.alertState = GuardAlert.ALERTED;
+            guard.patrolInterrupted = guard.patrol !== null;
+            return guard.memory.pos;
+        }
+
+        // Already standing on a freshly remembered spot
+        startSearch(level, walkFields, guard);
+    }
+
+    if (guard.alertState === GuardAlert.INVESTIGATING) {
+        // A point is done once reached; one another guard stands on, or that a door has
+        // cut off since the search started, is skipped
+        while (guard.searchPoints.length > 0 && (level.isOccupiedByGuard(guard.searchPoints[0]) ||
+            walkFields.getDistance(guard.pos, guard.searchPoints[0]) === Infinity)) {
+            guard.searchPoints = guard.searchPoints.slice(1);
+        }
+        if (guard.searchPoints.length > 0) return guard.searchPoints[0];
+        guard.alertState = GuardAlert.RETURNING;
+    }
+
+    // Lost the trail: the source went quiet before it was reached
+    if (guard.alertState === GuardAlert.ALERTED) guard.alertState = GuardAlert.RETURNING;
+
+    if (guard.alertState === GuardAlert.RETURNING) {
+        if (!config.returnToPost) {
+            guard.alertState = GuardAlert.IDLE; // Idle wherever the alert ended
+            guard.patrolInterrupted = false;
+            return null;
+        }
+        if (guard.patrol) {
+            // Patrols resume from the nearest waypoint; back on the route is back at post
+            if (guard.patrol.waypoints.some(point => point.equals(guard.pos))) guard.alertState = GuardAlert.IDLE;
+        } else if (guard.pos.equals(guard.post) || walkFields.getDistance(guard.pos, guard.post) === Infinity) {
+            guard.alertState = GuardAlert.IDLE; // Back at post, or shut out of it and idle where it stands
+        } else {
+            return guard.post;
+        }
+    }
+
+    if (guard.patrol && !guard.asleep) {
+        const next = getPatrolStep(walkFields, guard);
+        guard.patrolIndex = next.index;
+        guard.patrolDirection = next.direction;
+        guard.patrolInterrupted = false;
+        return guard.patrol.waypoints[next.index];
+    }
+    return null;
+}
+
+// Arrived at its remembered spot: search the first investigatePoints reachable tiles around
+// it (N, E, S, W, searchRadius away) instead of waiting there
+function startSearch(level, walkFields, guard) {
+    const config = level.config;
+    guard.alertState = GuardAlert.INVESTIGATING;
+    guard.searchPoints = DIRECTIONS
+        .map(dir => new Vec(guard.pos.x + dir.x * config.searchRadius, guard.pos.y + dir.y * config.searchRadius))
+        .filter(point => level.isPassable(point) && walkFields.getDistance(guard.pos, point) !== Infinity)
+        .slice(0, Math.max(0, config.investigatePoints));
+    guard.memory = null;
+}
+
+// Waypoint a patrolling guard heads for this turn, as {index, direction}. Pure, so the
+// renderer can preview the upcoming patrol step with the same rule.
+function getPatrolStep(walkFields, guard) {
+    const { mode, waypoints } = guard.patrol;
+    let index = guard.patrolIndex;
+    let direction = guard.patrolDirection;
+
+    if (guard.patrolInterrupted) {
+        // Resume from the nearest reachable waypoint; ties go to the lower index
+        let bestDistance = Infinity;
+        waypoints.forEach((point, i) => {
+            const distance = walkFields.getDistance(guard.pos, point);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                index = i;
+            }
+        });
+    }
+
+    if (guard.pos.equals(waypoints[index]) && waypoints.length > 1) {
+        if (mode === PatrolMode.PING_PONG) {
+            if (index + direction < 0 || index + direction >= waypoints.length) direction = -direction;
+            index += direction;
+        } else {
+            index = (index + 1) % waypoints.length;
+        }
+    }
+
+    return { index, direction };
+}
+
+// Fire each plate in order, skipping any already triggered this turn
+function triggerPlates(level, plates, triggeredPlates, events) {
+    for (const plate of plates) {
+        const key = `${plate.x},${plate.y}`;
+        if (triggeredPlates.has(key)) continue;
+        triggeredPlates.add(key);
+
+        events.push({ type: SimEvent.PLATE_TRIGGERED, pos: plate.clone() });
+        for (const door of level.triggerPlate(plate)) {
+            events.push({ type: SimEvent.DOOR_TOGGLED, pos: door.clone(), open: level.grid[door.y][door.x] === Tile.DOOR_OPEN });
+        }
+    }
+}
+
+function pushCrates(state, blasts, events) {
+    const level = state.level;
+    const pushed = new Set();
+
+    for (const { bomb, blastTiles } of blasts) {
+        for (const crate of level.crates) {
+            if (pushed.has(crate.id) || !blastTiles.some(tile => tile.equals(crate.pos))) continue;
+            pushed.add(crate.id);
+
+            // Away from the bomb along the dominant axis; diagonal ties push horizontally
+            const dx = crate.pos.x - bomb.pos.x;
+            const dy = crate.pos.y - bomb.pos.y;
+            const to = Math.abs(dx) >= Math.abs(dy) ?
+                new Vec(crate.pos.x + Math.sign(dx), crate.pos.y) :
+                new Vec(crate.pos.x, crate.pos.y + Math.sign(dy));
+
+            const blocked = !level.isPassable(to) ||
+                level.isOccupiedByGuard(to) ||
+                level.isOccupiedByTarget(to) ||
+                state.bombs.some(other => other.pos.equals(to)) ||
+                state.noisemakers.some(noisemaker => noisemaker.pos.equals(to));
+            if (blocked) continue;
+
+            events.push({ type: SimEvent.CRATE_PUSHED, crateId: crate.id, bombId: bomb.id, from: crate.pos.clone(), to: to.clone() });
+            crate.pos = to;
+            level.markTopologyChanged();
+        }
+    }
+}
+
+function chooseGuardTarget(soundFields, guard, tickingSources, explodingSources) {
+    const allSources = guard.getArchetype().hearsTicking ?
+        [...tickingSources, ...explodingSources] : [...explodingSources];
+    const distances = new Map(allSources.map(source => [source, soundFields.getDistance(source.pos, guard.pos)]));
+    const audibleSources = allSources.filter(source => distances.get(source) <= guard.hearingRadius);
+
+    if (audibleSources.length === 0) return null;
+
+    // Sort by noise level (descending), then distance (ascending), then preference for explosions, then lexicographic
+    audibleSources.sort((a, b) => {
+        // Higher noise level first
+        if (a.level !== b.level) return b.level - a.level;
+
+        // Closer distance first
+        const distA = distances.get(a);
+        const distB = distances.get(b);
+        if (distA !== distB) return distA - distB;
+
+        // Explosion over ticking (explosions have level 4)
+        const isExplosionA = explodingSources.includes(a);
+        const isExplosionB = explodingSources.includes(b);
+        if (isExplosionA !== isExplosionB) return isExplosionB ? 1 : -1;
+
+        // Lexicographic tie-breaking
+        if (a.pos.y !== b.pos.y) return a.pos.y - b.pos.y;
+        return a.pos.x - b.pos.x;
+    });
+
+    return audibleSources[0];
+}
+
+// Move guards to their proposed tiles (guard id -> Vec, the current tile to stay) without
+// two guards ever sharing a tile or passing through each other:
+// - guards claiming the same tile all stay, a guard staying put counting as a claim on its own tile
+// - two guards swapping tiles both stay
+// - a guard may step into a tile another guard is leaving only if that guard really
+//   leaves; a blocked guard blocks everyone queued behind it, repeated to a fixed point
+// - a closed ring of three or more guards each stepping into the next one's tile rotates
+// The outcome does not depend on proposal order; guards are visited by id.
+function resolveMovementConflicts(level, proposals) {
+    const guards = [...level.guards].sort((a, b) => a.id - b.id);
+    const keyOf = pos => `${pos.x},${pos.y}`;
+    const occupants = new Map(guards.map(guard => [keyOf(guard.pos), guard]));
+
+    const claims = new Map();
+    for (const guard of guards) {
+        const key = keyOf(proposals.get(guard.id) || guard.pos);
+        claims.set(key, (claims.get(key) || 0) + 1);
+    }
+
+    // Movers whose step survives the claim and swap rules
+    const moving = new Map();
+    for (const guard of guards) {
+        const destination = proposals.get(guard.id);
+        if (!destination || destination.equals(guard.pos)) continue;
+        if (claims.get(keyOf(destination)) > 1) continue;
+
+        const occupant = occupants.get(keyOf(destination));
+        const occupantDestination = occupant ? proposals.get(occupant.id) : null;
+        if (occupantDestination && occupantDestination.equals(guard.pos)) continue;
+
+        moving.set(guard.id, destination);
+    }
+
+    // Chains: stepping into the tile of a guard that stays blocks the step too
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const guard of guards) {
+            if (!moving.has(guard.id)) continue;
+            const occupant = occupants.get(keyOf(moving.get(guard.id)));
+            if (occupant && !moving.has(occupant.id)) {
+                moving.delete(guard.id);
+                changed = true;
+            }
+        }
+    }
+
+    const validMoves = new Map(guards.map(guard => [guard.id, moving.get(guard.id) || guard.pos]));
+
+    // Apply valid moves; guards with a sight cone turn to face the way they stepped
+    for (const guard of level.guards) {
+        const newPos = validMoves.get(guard.id);
+        if (newPos) {
+            if (guard.facing !== null && !newPos.equals(guard.pos)) {
+                guard.facing = DIRECTIONS.findIndex(dir => dir.x === newPos.x - guard.pos.x && dir.y === newPos.y - guard.pos.y);
+            }
+            guard.pos = newPos.clone();
+        }
+    }
+}
+
+// Tiles in a guard's sight cone: up to sightRange ahead, widening by one tile to each
+// side per step, seen past nothing that stops a blast and not into or through smoke.
+// Sleeping guards and guards without a facing see nothing.
+function getSightTiles(level, guard) {
+    if (guard.facing === null || guard.asleep) return [];
+
+    const ahead = DIRECTIONS[guard.facing];
+    const side = { x: -ahead.y, y: ahead.x };
+    const blocksSight = pos => blocksBlast(level, pos) || absorbsBlast(level, pos) || level.smoke.has(`${pos.x},${pos.y}`);
+    const tiles = [];
+
+    for (let depth = 1; depth <= guard.sightRange; depth++) {
+        for (let offset = -depth; offset <= depth; offset++) {
+            const pos = new Vec(
+                guard.pos.x + ahead.x * depth + side.x * offset,
+                guard.pos.y + ahead.y * depth + side.y * offset
+            );
+            if (!level.isValidPosition(pos) || blocksSight(pos)) continue;
+            if (hasLineOfSight(level, guard.pos, pos, blocksSight)) tiles.push(pos);
+        }
+    }
+    return tiles;
+}
+
+// Guards whose sight cone covers pos, in id order
+function getWatchingGuards(level, pos) {
+    return level.guards.filter(guard => getSightTiles(level, guard).some(tile => tile.equals(pos)));
+}
+
+function calculateBlastTiles(level, bombPos) {
+    switch (level.config.blastShape) {
+        case BlastShape.CIRCLE:
+            // Circular blast pattern with reduced radius
+            return calculateCircularBlast(level, bombPos, Math.max(1, level.config.blastRange - 1));
+        case BlastShape.DIAMOND:
+            return calculateDiamondBlast(level, bombPos, level.config.blastRange);
+        case BlastShape.CROSS:
+        default:
+            return calculateCrossBlast(level, bombPos, level.config.blastRange);
+    }
+}
+
+// Tiles a charge affects: the blast for lethal kinds, the cloud for smoke, the bomb tile for a flashbang
+function calculateChargeTiles(level, bombPos, kind = BombKind.STANDARD, direction = 0) {
+    switch (kind) {
+        case BombKind.SHAPED: {
+            const blastTiles = [bombPos.clone()];
+            castBlastRay(level, bombPos, DIRECTIONS[direction], level.config.blastRange, blastTiles);
+            return blastTiles;
+        }
+        case BombKind.FLASHBANG:
+            return [bombPos.clone()];
+        default:
+            return calculateBlastTiles(level, bombPos);
+    }
+}
+
+function blocksBlast(level, pos) {
+    if (!level.isValidPosition(pos)) return true;
+    const tile = level.grid[pos.y][pos.x];
+    return tile === Tile.WALL || tile === Tile.DOOR_CLOSED;
+}
+
+// Crates and cracked walls are hit by a blast (so they can be pushed or broken) but nothing behind them is
+function absorbsBlast(level, pos) {
+    return level.grid[pos.y][pos.x] === Tile.CRACKED_WALL || level.isOccupiedByCrate(pos);
+}
+
+function calculateCrossBlast(level, bombPos, range) {
+    const blastTiles = [bombPos.clone()];
+
+    // Ray-cast N, E, S, W
+    for (const dir of DIRECTIONS) {
+        castBlastRay(level, bombPos, dir, range, blastTiles);
+    }
+
+    return blastTiles;
+}
+
+// Walk one ray out from the bomb; it stops before a wall and on a crate or cracked wall
+function castBlastRay(level, bombPos, dir, range, blastTiles) {
+    for (let step = 1; step <= range; step++) {
+        const pos = new Vec(bombPos.x + dir.x * step, bombPos.y + dir.y * step);
+        if (blocksBlast(level, pos)) break;
+        blastTiles.push(pos);
+        if (absorbsBlast(level, pos)) break;
+    }
+}
+
+function calculateDiamondBlast(level, bombPos, range) {
+    const blastTiles = [bombPos.clone()];
+    const visited = new Set([`${bombPos.x},${bombPos.y}`]);
+    let frontier = [bombPos];
+
+    // Breadth-first flood so the wave bends around walls but never passes through them
+    for (let step = 1; step <= range; step++) {
+        const nextFrontier = [];
+        for (const pos of frontier) {
+            for (const dir of DIRECTIONS) {
+                const neighbor = new Vec(pos.x + dir.x, pos.y + dir.y);
+                const key = `${neighbor.x},${neighbor.y}`;
+                if (visited.has(key) || blocksBlast(level, neighbor)) continue;
+                visited.add(key);
+                blastTiles.push(neighbor);
+                if (!absorbsBlast(level, neighbor)) nextFrontier.push(neighbor);
+            }
+        }
+        frontier = nextFrontier;
+    }
+
+    return blastTiles;
+}
+
+function calculateCircularBlast(level, bombPos, radius) {
+    const blastTiles = [];
+
+    for (let x = bombPos.x - radius; x <= bombPos.x + radius; x++) {
+        for (let y = bombPos.y - radius; y <= bombPos.y + radius; y++) {
+            const pos = new Vec(x, y);
+
+            // Calculate distance from bomb center
+            const distance = Math.sqrt(Math.pow(x - bombPos.x, 2) + Math.pow(y - bombPos.y, 2));
+
+            // Include tiles within the circular radius
+            if (distance <= radius && level.isValidPosition(pos)) {
+                // Check if there's a clear path (no walls blocking)
+                if (hasLineOfSight(level, bombPos, pos)) {
+                    blastTiles.push(pos);
+                }
+            }
+        }
+    }
+
+    return blastTiles;
+}
+
+function hasLineOfSight(level, start, end, isBlocked = pos => blocksBlast(level, pos) || absorbsBlast(level, pos)) {
+    // Simple line of sight check - if there's a wall directly between, block it
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance === 0) return true; // Same position
+
+    const steps = Math.max(Math.abs(dx), Math.abs(dy));
+    const stepX = dx / steps;
+    const stepY = dy / steps;
+
+    for (let i = 1; i < steps; i++) {
+        const checkX = Math.round(start.x + stepX * i);
+        const checkY = Math.round(start.y + stepY * i);
+        const checkPos = new Vec(checkX, checkY);
+
+        if (level.isValidPosition(checkPos) && isBlocked(checkPos)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Replays
+//
+// A replay is {version, levelId, levelHash, actions}. The hash ties it to the exact
+// level JSON it was recorded on, so a replay never silently runs against an edited map.
+
+// FNV-1a over the level JSON, as 8 hex digits
+function hashLevelData(levelData) {
+    const text = JSON.stringify(levelData);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+function createReplay(levelData) {
+    return {
+        version: REPLAY_VERSION,
+        levelId: levelData.id,
+        levelHash: hashLevelData(levelData),
+        actions: []
+    };
+}
+
+function parseReplay(json) {
+    const replay = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+    }
+    if (typeof replay.levelId !== 'string' || typeof replay.levelHash !== 'string' || !Array.isArray(replay.actions)) {
+        throw new Error('Invalid replay format');
+    }
+
+    for (const action of replay.actions) {
+        if (!isValidReplayAction(action)) {
+            throw new Error(`Invalid replay action: ${JSON.stringify(action)}`);
+        }
+    }
+
+    return replay;
+}
+
+// Whether an action has a known code and the arguments that code takes (see ReplayAction)
+function isValidReplayAction(action) {
+    if (!Array.isArray(action)) return false;
+    const [code, x, y, kind, direction] = action;
+
+    switch (code) {
+        case ReplayAction.PLACE:
+            if (action.length === 5) {
+                return Number.isInteger(x) && Number.isInteger(y) && Object.values(BombKind).includes(kind) &&
+                    Number.isInteger(direction) && direction >= 0 && direction < DIRECTIONS.length;
+            }
+            return action.length === 3 && Number.isInteger(x) && Number.isInteger(y);
+        case ReplayAction.NOISE:
+        case ReplayAction.CYCLE:
+        case ReplayAction.ROTATE:
+            return action.length === 3 && Number.isInteger(x) && Number.isInteger(y);
+        case ReplayAction.END_TURN:
+        case ReplayAction.UNDO:
+        case ReplayAction.REDO:
+            return action.length === 1;
+        default:
+            return false;
+    }
+}
+
+// Apply one player action (place, noise, cycle or rotate) to state in place, for callers
+// such as the solver that try many actions on a working copy. Returns the events, or
+// null if the action was rejected.
+function applyActionInPlace(state, action) {
+    const [code, x, y] = action;
+    switch (code) {
+        case ReplayAction.PLACE:
+            return placeBombInPlace(state, new Vec(x, y), action[3], action[4]);
+        case ReplayAction.NOISE:
+            return placeNoisemakerInPlace(state, new Vec(x, y));
+        case ReplayAction.CYCLE:
+            return cycleTimerInPlace(state, new Vec(x, y));
+        case ReplayAction.ROTATE:
+            return rotateChargeInPlace(state, new Vec(x, y));
+        default:
+            return null;
+    }
+}
+
+// Apply one state-changing replay action (anything but undo / redo) to a state
+function applyReplayAction(state, action) {
+    const [code, x, y] = action;
+    switch (code) {
+        case ReplayAction.PLACE:
+            return placeBomb(state, new Vec(x, y), action[3], action[4]);
+        case ReplayAction.NOISE:
+            return placeNoisemaker(state, new Vec(x, y));
+        case ReplayAction.CYCLE:
+            return cycleTimer(state, new Vec(x, y));
+        case ReplayAction.ROTATE:
+            return rotateCharge(state, new Vec(x, y));
+        case ReplayAction.END_TURN:
+            return endTurn(state);
+        default:
+            return { state, events: [] };
+    }
+}
+
+// Re-run a whole replay headlessly. Returns the final state and the state after every action.
+function runReplay(levelData, replay) {
+    if (replay.levelHash !== hashLevelData(levelData)) {
+        throw new Error(`Replay was recorded on a different version of ${replay.levelId}`);
+    }
+
+    const history = [createState(levelData)];
+    const redoStack = [];
+    const states = [];
+
+    for (const action of replay.actions) {
+        if (action[0] === ReplayAction.UNDO) {
+            if (history.length > 1) redoStack.push(history.pop());
+        } else if (action[0] === ReplayAction.REDO) {
+            if (redoStack.length > 0) history.push(redoStack.pop());
+        } else {
+            const result = applyReplayAction(history[history.length - 1], action);
+            if (result.state !== history[history.length - 1]) {
+                history.push(result.state);
+                redoStack.length = 0;
+                if (history.length > UNDO_HISTORY_LIMIT + 1) history.shift();
+            }
+        }
+        states.push(history[history.length - 1]);
+    }
+
+    return { state: history[history.length - 1], states };
+}
+
+// Node / CommonJS export; in the browser the declarations above are shared globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_GRID_SIZE,
+        DIRECTIONS,
+        Tile,
+        BombState,
+        GameState,
+        GuardType,
+        GUARD_ARCHETYPES,
+        BombKind,
+        BOMB_KINDS,
+        SMOKE_TURNS,
+        SightResponse,
+        GuardAlert,
+        ConditionStatus,
+        WIN_CONDITIONS,
+        FAIL_CONDITIONS,
+        DEFAULT_WIN,
+        DEFAULT_FAIL,
+        PatrolMode,
+        BlastShape,
+        SimEvent,
+        ReplayAction,
+        DEFAULT_CONFIG,
+        UNDO_HISTORY_LIMIT,
+        Vec,
+        Target,
+        Noisemaker,
+        Crate,
+        Bomb,
+        Guard,
+        Level,
+        SoundFields,
+        createState,
+        cloneState,
+        canPlaceBomb,
+        placeBomb,
+        getChargesLeft,
+        rotateCharge,
+        canPlaceNoisemaker,
+        placeNoisemaker,
+        cycleTimer,
+        endTurn,
+        simulateTurn,
+        chooseGuardTarget,
+        evaluateConditions,
+        getSightTiles,
+        getWatchingGuards,
+        isInZone,
+        getPatrolStep,
+        followAlertState,
+        resolveMovementConflicts,
+        calculateBlastTiles,
+        calculateChargeTiles,
+        hashLevelData,
+        createReplay,
+        parseReplay,
+        applyReplayAction,
+        applyActionInPlace,
+        runReplay
+    };
+}
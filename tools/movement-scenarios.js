@@ -0,0 +1,143 @@
+// Silent Charges - Guard movement scenarios
+// Runs resolveMovementConflicts on hand-built guard layouts and checks where every
+// guard ends up: followers, contested tiles, swaps, blocked chains, rotation rings
+// and rings with tails. Each layout is also resolved with the guards and their
+// proposals listed in every order, since the outcome must only depend on guard ids.
+//
+// Usage: node tools/movement-scenarios.js
+
+const assert = require('assert');
+const { Guard, Vec, resolveMovementConflicts } = require('../simulation.js');
+
+// Each guard is [x, y, toX, toY] and gets id index + 1; expected is the final [x, y] per guard
+const SCENARIOS = [
+    {
+        name: 'single step',
+        guards: [[0, 0, 1, 0]],
+        expected: [[1, 0]]
+    },
+    {
+        name: 'follower moves into a vacated tile',
+        guards: [[0, 0, 1, 0], [1, 0, 2, 0]],
+        expected: [[1, 0], [2, 0]]
+    },
+    {
+        name: 'third guard claiming the vacated tile keeps both claimants in place',
+        guards: [[0, 0, 1, 0], [1, 0, 2, 0], [1, 1, 1, 0]],
+        expected: [[0, 0], [2, 0], [1, 1]]
+    },
+    {
+        name: 'two guards claiming the same tile both stay',
+        guards: [[0, 0, 1, 0], [2, 0, 1, 0]],
+        expected: [[0, 0], [2, 0]]
+    },
+    {
+        name: 'stepping into a guard that stays is blocked',
+        guards: [[0, 0, 1, 0], [1, 0, 1, 0]],
+        expected: [[0, 0], [1, 0]]
+    },
+    {
+        name: 'two-guard swap is prevented',
+        guards: [[0, 0, 1, 0], [1, 0, 0, 0]],
+        expected: [[0, 0], [1, 0]]
+    },
+    {
+        name: 'swap blocks a guard following into it',
+        guards: [[0, 0, 1, 0], [1, 0, 0, 0], [2, 0, 1, 0]],
+        expected: [[0, 0], [1, 0], [2, 0]]
+    },
+    {
+        name: 'unblocked chain of four moves together',
+        guards: [[0, 0, 1, 0], [1, 0, 2, 0], [2, 0, 3, 0], [3, 0, 4, 0]],
+        expected: [[1, 0], [2, 0], [3, 0], [4, 0]]
+    },
+    {
+        name: 'chain of three behind a guard that stays is blocked',
+        guards: [[0, 0, 1, 0], [1, 0, 2, 0], [2, 0, 3, 0], [3, 0, 3, 0]],
+        expected: [[0, 0], [1, 0], [2, 0], [3, 0]]
+    },
+    {
+        name: 'chain of four behind a contested head is blocked',
+        guards: [[0, 0, 1, 0], [1, 0, 2, 0], [2, 0, 3, 0], [3, 0, 4, 0], [5, 0, 4, 0]],
+        expected: [[0, 0], [1, 0], [2, 0], [3, 0], [5, 0]]
+    },
+    {
+        name: 'two chains meeting head on both stop',
+        guards: [[0, 0, 1, 0], [1, 0, 2, 0], [4, 0, 3, 0], [3, 0, 2, 0]],
+        expected: [[0, 0], [1, 0], [4, 0], [3, 0]]
+    },
+    {
+        name: 'three-guard ring rotates',
+        guards: [[0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 0, 0]],
+        expected: [[1, 0], [1, 1], [0, 0]]
+    },
+    {
+        name: 'four-guard ring rotates',
+        guards: [[0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 0, 1], [0, 1, 0, 0]],
+        expected: [[1, 0], [1, 1], [0, 1], [0, 0]]
+    },
+    {
+        name: 'ring with a tail claiming a ring tile stays put',
+        guards: [[0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 0, 0], [-1, 0, 0, 0]],
+        expected: [[0, 0], [1, 0], [1, 1], [-1, 0]]
+    },
+    {
+        name: 'ring rotates beside a chain moving past it',
+        guards: [[0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 0, 0], [-1, 2, 0, 2], [0, 2, 1, 2]],
+        expected: [[1, 0], [1, 1], [0, 0], [0, 2], [1, 2]]
+    },
+    {
+        name: 'ring with one member contested stays put',
+        guards: [[0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 0, 1], [0, 1, 0, 0], [-1, 1, 0, 1]],
+        expected: [[0, 0], [1, 0], [1, 1], [0, 1], [-1, 1]]
+    }
+];
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, index) =>
+        permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest]));
+}
+
+// Resolve one layout with the guards and proposals in the given order
+function resolve(scenario, order) {
+    const guards = order.map(index => {
+        const [x, y] = scenario.guards[index];
+        return new Guard(index + 1, new Vec(x, y), 5, undefined, null, 0);
+    });
+    const proposals = new Map(order.map(index => {
+        const [, , toX, toY] = scenario.guards[index];
+        return [index + 1, new Vec(toX, toY)];
+    }));
+
+    resolveMovementConflicts({ guards }, proposals);
+    return [...guards].sort((a, b) => a.id - b.id).map(guard => [guard.pos.x, guard.pos.y]);
+}
+
+function main() {
+    let failures = 0;
+
+    for (const scenario of SCENARIOS) {
+        const indices = scenario.guards.map((_, index) => index);
+        try {
+            for (const order of permutations(indices)) {
+                const finals = resolve(scenario, order);
+                assert.deepStrictEqual(finals, scenario.expected, `guard order ${order.map(index => index + 1).join(',')}`);
+                assert.strictEqual(new Set(finals.map(pos => pos.join(','))).size, finals.length, 'two guards share a tile');
+            }
+            console.log(`ok    ${scenario.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`FAIL  ${scenario.name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures > 0 ? `${failures} of ${SCENARIOS.length} scenarios failed` : `All ${SCENARIOS.length} scenarios passed`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { SCENARIOS };
@@ -0,0 +1,196 @@
+// Silent Charges - Rule scenarios
+// Plays short turns on small hand-built levels and checks placement and blast rules
+// that the shipped levels don't exercise, such as the bomb budget, guard searches, doors, crate pushes
+// and malformed replay actions.
+//
+// Usage: node tools/rule-scenarios.js
+
+const assert = require('assert');
+const {
+    GameState,
+    GuardAlert,
+    SimEvent,
+    Tile,
+    Vec,
+    createReplay,
+    createState,
+    evaluateConditions,
+    parseReplay,
+    placeBomb,
+    placeNoisemaker,
+    endTurn
+} = require('../simulation.js');
+
+// A walled room of floor, one deaf guard in the far corner and one target in the other;
+// overrides are merged into the level data
+function makeLevel(overrides = {}) {
+    const size = 10;
+    const grid = [];
+    for (let y = 0; y < size; y++) {
+        grid.push([]);
+        for (let x = 0; x < size; x++) {
+            const edge = x === 0 || y === 0 || x === size - 1 || y === size - 1;
+            grid[y].push(edge ? Tile.WALL : Tile.FLOOR);
+        }
+    }
+
+    return {
+        id: 'scenario',
+        name: 'Scenario',
+        grid,
+        guards: [{ x: 8, y: 8, hearingRadius: 1 }],
+        targets: [{ x: 8, y: 1 }],
+        ...overrides,
+        config: { gridSize: size, timersAllowed: false, blastRange: 1, maxBombsPerTurn: 1, ...overrides.config }
+    };
+}
+
+// The room split by a wall at x = 5 with an open door at (5, 4), which the plate at (2, 8)
+// toggles; the guard stands at guardPos
+function makeDoorLevel(guardPos) {
+    const level = makeLevel({ guards: [{ ...guardPos, hearingRadius: 1 }], links: [{ plate: { x: 2, y: 8 }, doors: [{ x: 5, y: 4 }] }] });
+    for (let y = 1; y < 9; y++) level.grid[y][5] = y === 4 ? Tile.DOOR_OPEN : Tile.WALL;
+    level.grid[8][2] = Tile.PLATE;
+    return level;
+}
+
+// Place a bomb and end the turn, failing if the placement is refused
+function bombTurn(state, x, y) {
+    const placed = placeBomb(state, new Vec(x, y)).state;
+    assert.notStrictEqual(placed, state, `bomb at ${x},${y} was refused`);
+    return endTurn(placed).state;
+}
+
+const SCENARIOS = [
+    {
+        name: 'placing a bomb past the budget loses the level',
+        run() {
+            let state = createState(makeLevel({ fail: { bombBudget: 2 } }));
+            state = bombTurn(state, 2, 2);
+            state = bombTurn(state, 2, 5);
+            assert.strictEqual(state.gameState, GameState.PLAYING);
+
+            const result = endTurn(placeBomb(state, new Vec(5, 5)).state);
+            assert.strictEqual(result.state.gameState, GameState.LOST);
+            assert.ok(result.events.some(event => event.type === SimEvent.LEVEL_LOST && event.condition === 'bombBudget'));
+        }
+    },
+    {
+        name: 'spending the whole bomb budget does not lose the level',
+        run() {
+            let state = createState(makeLevel({ fail: { bombBudget: 1 } }));
+            state = bombTurn(state, 2, 2);
+            assert.strictEqual(state.gameState, GameState.PLAYING);
+            assert.strictEqual(evaluateConditions(state).failed, null);
+        }
+    },
+    {
+        name: 'guard searches every point around the spot it remembers from the turn it gets there',
+        run() {
+            let state = createState(makeLevel({ guards: [{ x: 7, y: 4, hearingRadius: 6 }] }));
+            state = bombTurn(state, 4, 4);
+            state = endTurn(endTurn(state).state).state;
+            const guard = () => state.level.guards[0];
+            assert.deepStrictEqual([guard().pos.x, guard().pos.y], [4, 4]);
+            assert.strictEqual(guard().alertState, GuardAlert.INVESTIGATING);
+
+            const points = guard().searchPoints.map(point => `${point.x},${point.y}`);
+            assert.strictEqual(points.length, 4);
+            const visited = new Set();
+            for (let turn = 0; turn < 30 && guard().alertState === GuardAlert.INVESTIGATING; turn++) {
+                state = endTurn(state).state;
+                visited.add(`${guard().pos.x},${guard().pos.y}`);
+            }
+            assert.strictEqual(guard().alertState, GuardAlert.RETURNING);
+            assert.deepStrictEqual(points.filter(point => !visited.has(point)), []);
+        }
+    },
+    {
+        name: 'guard skips a search point a door has shut it out of',
+        run() {
+            let state = createState(makeDoorLevel({ x: 6, y: 4 }));
+            const guard = () => state.level.guards[0];
+            guard().memory = { pos: new Vec(6, 4), turnIndex: 0 };
+            state = bombTurn(state, 2, 8);
+            assert.strictEqual(state.level.grid[4][5], Tile.DOOR_CLOSED);
+
+            for (let turn = 0; turn < 30 && guard().alertState === GuardAlert.INVESTIGATING; turn++) {
+                state = endTurn(state).state;
+            }
+            assert.notStrictEqual(guard().alertState, GuardAlert.INVESTIGATING);
+        }
+    },
+    {
+        name: 'guard shut out of its post goes idle where it stands',
+        run() {
+            let state = createState(makeDoorLevel({ x: 3, y: 4 }));
+            const guard = () => state.level.guards[0];
+            guard().pos = new Vec(7, 4);
+            guard().alertState = GuardAlert.RETURNING;
+            state = bombTurn(state, 2, 8);
+            state = endTurn(state).state;
+            assert.strictEqual(guard().alertState, GuardAlert.IDLE);
+            assert.ok(guard().pos.x > 5);
+        }
+    },
+    {
+        name: 'blast pushes a crate away from the bomb',
+        run() {
+            const state = bombTurn(createState(makeLevel({ crates: [{ x: 3, y: 3 }] })), 2, 3);
+            assert.deepStrictEqual([state.level.crates[0].pos.x, state.level.crates[0].pos.y], [4, 3]);
+        }
+    },
+    {
+        name: 'crate is not pushed onto a noisemaker',
+        run() {
+            let state = createState(makeLevel({ crates: [{ x: 3, y: 3 }], config: { noisemakers: 1 } }));
+            state = placeNoisemaker(state, new Vec(4, 3)).state;
+            assert.strictEqual(state.noisemakers.length, 1);
+            state = bombTurn(state, 2, 3);
+            assert.deepStrictEqual([state.level.crates[0].pos.x, state.level.crates[0].pos.y], [3, 3]);
+        }
+    },
+    {
+        name: 'replay actions with bad arguments are rejected',
+        run() {
+            const badActions = [
+                ['p', 8, 3, 'shaped', -1],
+                ['p', 8, 3, 'shaped', 1.5],
+                ['p', 8, 3, 'shaped', 'a'],
+                ['p', 8, 3, 'nuke', 0],
+                ['p', 8, 3, 'shaped'],
+                ['n', '8', 3],
+                ['e', 8, 3]
+            ];
+            for (const action of badActions) {
+                const replay = { ...createReplay(makeLevel()), actions: [action] };
+                assert.throws(() => parseReplay(replay), /Invalid replay action/, JSON.stringify(action));
+            }
+            const replay = { ...createReplay(makeLevel()), actions: [['p', 2, 3], ['p', 4, 3, 'shaped', 3], ['e']] };
+            assert.strictEqual(parseReplay(replay), replay);
+        }
+    }
+];
+
+function main() {
+    let failures = 0;
+
+    for (const scenario of SCENARIOS) {
+        try {
+            scenario.run();
+            console.log(`ok    ${scenario.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`FAIL  ${scenario.name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures > 0 ? `${failures} of ${SCENARIOS.length} scenarios failed` : `All ${SCENARIOS.length} scenarios passed`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { SCENARIOS };
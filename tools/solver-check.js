@@ -0,0 +1,78 @@
+// Silent Charges - Solver check
+// Runs the solver on Decoy (levels/level-2.json) and Countdown (levels/level-3.json) and
+// fails if either level has a cheese: a solution shorter or cheaper than the intended one.
+// Decoy's intended solution fits the cap, so its shortest turns and fewest bombs are checked
+// directly. Countdown's takes five turns, because the guard has to be lured out of the target's
+// corridor first, and three turns is the deepest exhaustive search of it that stays practical
+// (every extra turn multiplies the work by about sixty). So the search must find nothing within
+// the cap, and the intended solution is replayed to show it still wins.
+// Each search also has a budget of states, so a change that blows up the search fails here.
+//
+// Usage: node tools/solver-check.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { GameState, createReplay, parseReplay, runReplay } = require('../simulation.js');
+const { solveLevel } = require('./solver.js');
+
+const TURN_CAP = 3;
+
+const CHECKS = [
+    {
+        file: 'level-2.json',
+        stateBudget: 500,
+        check(levelData, report) {
+            assert.strictEqual(report.solvable, true, 'no solution within the cap');
+            assert.strictEqual(report.shortestTurns, 2, `shortest solution takes ${report.shortestTurns} turn(s)`);
+            assert.strictEqual(report.fewestBombs, 2, `cheapest solution takes ${report.fewestBombs} bomb(s)`);
+        }
+    },
+    {
+        file: 'level-3.json',
+        stateBudget: 6000,
+        // Lure the guard up to the top corridor with a red bomb, then drop a red bomb below the
+        // target once it has walked past the corner
+        intended: [
+            ['p', 9, 3], ['c', 9, 3], ['e'],
+            ['e'], ['e'], ['e'],
+            ['p', 12, 7], ['c', 12, 7], ['e']
+        ],
+        check(levelData, report) {
+            assert.strictEqual(report.solvable, false,
+                `solved in ${report.shortestTurns} turn(s) with ${report.fewestBombs} bomb(s)`);
+
+            const replay = parseReplay({ ...createReplay(levelData), actions: this.intended });
+            const { state } = runReplay(levelData, replay);
+            assert.strictEqual(state.gameState, GameState.WON, `intended solution ends ${state.gameState}`);
+            assert.strictEqual(state.turnIndex, 5, `intended solution takes ${state.turnIndex} turn(s)`);
+            assert.strictEqual(state.bombIdCounter, 2, `intended solution takes ${state.bombIdCounter} bomb(s)`);
+        }
+    }
+];
+
+function main() {
+    let failures = 0;
+
+    for (const entry of CHECKS) {
+        const levelData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'levels', entry.file), 'utf8'));
+        const report = solveLevel(levelData, { maxTurns: TURN_CAP });
+
+        console.log(`${levelData.name}: ${report.statesExplored} states at a cap of ${TURN_CAP} turns`);
+        try {
+            assert.ok(report.statesExplored <= entry.stateBudget,
+                `search explored ${report.statesExplored} states, budget is ${entry.stateBudget}`);
+            entry.check(levelData, report);
+            console.log(`ok    ${levelData.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`FAIL  ${levelData.name}: ${error.message}`);
+        }
+    }
+
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,364 @@
+// Silent Charges - Exhaustive level solver
+// Searches every sequence of player turns (bomb, special charge and noisemaker
+// placements, timer settings, charge turns, end turn) up to a turn cap, using the same simulation the game runs. A
+// solution is a distinct sequence of turns ending in a win, so waiting turns and
+// different bomb spots count separately, while different actions that leave the board
+// the same way count once; the per-length breakdown shows how many exist at each turn count.
+//
+// Usage: node tools/solver.js levels/level-2.json [--max-turns 6] [--no-retime] [--list 10] [--replay out.json]
+
+const fs = require('fs');
+const path = require('path');
+const {
+    BombKind,
+    DIRECTIONS,
+    GameState,
+    ReplayAction,
+    Tile,
+    Vec,
+    createState,
+    createReplay,
+    canPlaceBomb,
+    canPlaceNoisemaker,
+    getChargesLeft,
+    cloneState,
+    applyActionInPlace,
+    simulateTurn,
+    endTurn
+} = require('../simulation.js');
+
+const DEFAULT_OPTIONS = {
+    maxTurns: 6,
+    retime: true // Also try re-setting the timers of bombs placed in earlier turns
+};
+
+// Canonical key for a state. Absolute turn numbers and ids are left out so states
+// that only differ in when things happened are searched once.
+function stateKey(state) {
+    const guards = state.level.guards.map(guard => {
+        const memory = guard.memory ?
+            `${guard.memory.pos.x},${guard.memory.pos.y}@${state.turnIndex - guard.memory.turnIndex}` : '-';
+        const patrol = guard.patrol ?
+            `${guard.patrolIndex}${guard.patrolDirection > 0 ? '+' : '-'}${guard.patrolInterrupted ? '!' : ''}` : '';
+        const facing = guard.facing !== null ? `f${guard.facing}` : '';
+        const seen = state.bombs.find(bomb => bomb.id === guard.defuseBombId);
+        const defusing = seen ? `>${seen.pos.x},${seen.pos.y}` : '';
+        const search = guard.searchPoints.map(point => `${point.x},${point.y}`).join(';');
+        const alert = `${guard.alertState}${search}`;
+        return `${guard.pos.x},${guard.pos.y}${guard.asleep ? 'z' : ''}${guard.stunned ? 's' : ''}${facing}${defusing}:${memory}:${patrol}:${alert}`;
+    });
+    const bombs = state.bombs
+        .map(bomb => `${bomb.pos.x},${bomb.pos.y}:${bomb.timer}:${bomb.kind}${bomb.kind === BombKind.SHAPED ? bomb.direction : ''}`)
+        .sort();
+    const charges = Object.keys(state.chargesUsed).sort().map(kind => `${kind}${state.chargesUsed[kind]}`).join('');
+    const smoke = [...state.level.smoke]
+        .map(([key, lastTurn]) => `${key}:${lastTurn - state.turnIndex}`)
+        .sort();
+    const targets = state.level.targets.map(target => (target.destroyed ? 'x' : target.hp)).join('');
+    const noisemakers = state.noisemakers
+        .map(noisemaker => `${noisemaker.pos.x},${noisemaker.pos.y}:${noisemaker.turnsLeft}`)
+        .sort();
+    const crates = state.level.crates.map(crate => `${crate.pos.x},${crate.pos.y}`).join('|');
+    const doors = state.level.doors.map(door => (state.level.grid[door.y][door.x] === Tile.DOOR_OPEN ? '1' : '0')).join('');
+    const walls = state.level.crackedWalls.map(wall => (state.level.grid[wall.y][wall.x] === Tile.CRACKED_WALL ? '1' : '0')).join('');
+    const placed = state.level.conditions.fail.bombBudget !== undefined ? `#${state.bombIdCounter}` : '';
+    return `${guards.join('|')}/${bombs.join('|')}+${charges}${placed}/${noisemakers.join('|')}+${state.noisemakersUsed}/${targets}/${doors}/${walls}/${crates}/${smoke.join('|')}`;
+}
+
+function placeableTiles(state, canPlace = canPlaceBomb) {
+    const tiles = [];
+    const gridSize = state.level.grid.length;
+    for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < gridSize; x++) {
+            const pos = new Vec(x, y);
+            if (canPlace(state, pos)) tiles.push(pos);
+        }
+    }
+    return tiles;
+}
+
+// Actions that cycle the bomb at pos from its current timer to the wanted one
+function cycleActions(timer, wanted, pos) {
+    const actions = [];
+    while (timer !== wanted) {
+        actions.push([ReplayAction.CYCLE, pos.x, pos.y]);
+        timer = timer === 3 ? 1 : timer + 1;
+    }
+    return actions;
+}
+
+// Apply a list of replay actions to a working copy of state; returns null if the
+// simulation rejects any of them
+function applyActions(state, actions) {
+    const working = cloneState(state);
+    for (const action of actions) {
+        if (!applyActionInPlace(working, action)) return null;
+    }
+    return working;
+}
+
+// The turns that can follow state, as {choice, key, state} with the player phase applied
+// but the turn not yet resolved. Choices that leave the board the same way as an earlier
+// one are dropped, so only one of them is searched and counted.
+function expandTurn(state, options) {
+    const seen = new Set();
+    const turns = [];
+    for (const choice of enumerateTurnChoices(state, options)) {
+        const working = applyActions(state, choice.actions);
+        if (!working) continue;
+        const key = stateKey(working);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        turns.push({ choice, key, state: working });
+    }
+    return turns;
+}
+
+// Every distinct player phase for one turn, each as {actions, bombs}. Bomb and noisemaker
+// placements are generated as sorted combinations so the same set is only tried once,
+// with as many noisemakers per turn as the level's budget has left.
+// Shaped charges are tried in every facing when placed, and those already on the board
+// are turned to every facing before the new placements.
+function enumerateTurnChoices(state, options) {
+    const config = state.level.config;
+    const maxNew = Math.min(config.maxBombsPerTurn, config.maxActiveBombs - state.bombs.length);
+    const tiles = placeableTiles(state);
+    const timerValues = config.timersAllowed ? [3, 2, 1] : [null];
+
+    // Placement actions per tile for every kind still in stock; over-budget combinations
+    // are rejected when applied
+    const kindPlacements = [pos => [ReplayAction.PLACE, pos.x, pos.y]];
+    for (const kind of Object.values(BombKind)) {
+        if (kind === BombKind.STANDARD || getChargesLeft(state, kind) <= 0) continue;
+        const directions = kind === BombKind.SHAPED ? DIRECTIONS.map((_, index) => index) : [0];
+        for (const direction of directions) {
+            kindPlacements.push(pos => [ReplayAction.PLACE, pos.x, pos.y, kind, direction]);
+        }
+    }
+    const choices = [];
+
+    // Timer settings and facings for bombs already on the board
+    let adjustments = [[]];
+    if (config.timersAllowed && options.retime) {
+        for (const bomb of state.bombs.filter(b => b.hasTimer)) {
+            const next = [];
+            for (const prefix of adjustments) {
+                for (const timer of timerValues) {
+                    next.push([...prefix, ...cycleActions(bomb.timer, timer, bomb.pos)]);
+                }
+            }
+            adjustments = next;
+        }
+    }
+    for (const bomb of state.bombs.filter(b => b.kind === BombKind.SHAPED)) {
+        const next = [];
+        for (const prefix of adjustments) {
+            for (let quarterTurns = 0; quarterTurns < DIRECTIONS.length; quarterTurns++) {
+                const turns = Array.from({ length: quarterTurns }, () => [ReplayAction.ROTATE, bomb.pos.x, bomb.pos.y]);
+                next.push([...prefix, ...turns]);
+            }
+        }
+        adjustments = next;
+    }
+
+    const addPlacements = (startIndex, placed) => {
+        for (const prefix of adjustments) {
+            choices.push({ actions: [...prefix, ...placed], bombs: placed.filter(a => a[0] === ReplayAction.PLACE).length });
+        }
+        if (placed.filter(a => a[0] === ReplayAction.PLACE).length >= maxNew) return;
+
+        for (let i = startIndex; i < tiles.length; i++) {
+            const pos = tiles[i];
+            for (const placement of kindPlacements) {
+                for (const timer of timerValues) {
+                    const setTimer = timer === null ? [] : cycleActions(3, timer, pos);
+                    addPlacements(i + 1, [...placed, placement(pos), ...setTimer]);
+                }
+            }
+        }
+    };
+    addPlacements(0, []);
+
+    const noisemakerTiles = placeableTiles(state, canPlaceNoisemaker);
+    const noisemakersLeft = config.noisemakers - state.noisemakersUsed;
+    const noiseSets = [[]];
+    const addNoisemakers = (startIndex, placed) => {
+        if (placed.length >= noisemakersLeft) return;
+        for (let i = startIndex; i < noisemakerTiles.length; i++) {
+            const set = [...placed, [ReplayAction.NOISE, noisemakerTiles[i].x, noisemakerTiles[i].y]];
+            noiseSets.push(set);
+            addNoisemakers(i + 1, set);
+        }
+    };
+    addNoisemakers(0, []);
+
+    return noiseSets.flatMap(noise => choices.map(choice => ({ actions: [...choice.actions, ...noise], bombs: choice.bombs })));
+}
+
+// Depth-first search with memoization on (state, turns left), both before and after the
+// turn is resolved, so a player phase reached from several states is only simulated once.
+// Each result holds the number of winning sequences and the best one (fewest turns, then
+// fewest bombs).
+function solveLevel(levelData, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const memo = new Map();
+    const turnMemo = new Map();
+    let statesExplored = 0;
+
+    const search = (state, turnsLeft) => {
+        if (state.gameState === GameState.WON) return { count: 1, turns: 0, bombs: 0, byTurns: [1], path: null };
+        if (state.gameState === GameState.LOST || turnsLeft === 0) return null;
+
+        const key = `${turnsLeft}#${stateKey(state)}`;
+        if (memo.has(key)) return memo.get(key);
+        statesExplored++;
+
+        let best = null;
+        for (const turn of expandTurn(state, options)) {
+            const turnKey = `${turnsLeft}#${turn.key}`;
+            let child = turnMemo.get(turnKey);
+            if (child === undefined) {
+                // The working copy is ours, so the turn resolves on it without another clone
+                if (turn.state.gameState === GameState.PLAYING) simulateTurn(turn.state);
+                child = search(turn.state, turnsLeft - 1);
+                turnMemo.set(turnKey, child);
+            }
+            if (!child) continue;
+
+            const { choice } = turn;
+            const turns = child.turns + 1;
+            const bombs = child.bombs + choice.bombs;
+            if (!best) {
+                best = { count: 0, turns, bombs, byTurns: [], path: { choice, next: child.path } };
+            } else if (turns < best.turns || (turns === best.turns && bombs < best.bombs)) {
+                best.turns = turns;
+                best.bombs = bombs;
+                best.path = { choice, next: child.path };
+            }
+            best.count += child.count;
+            child.byTurns.forEach((count, index) => {
+                best.byTurns[index + 1] = (best.byTurns[index + 1] || 0) + count;
+            });
+        }
+
+        memo.set(key, best);
+        return best;
+    };
+
+    const result = search(createState(levelData), options.maxTurns);
+    const solution = [];
+    for (let node = result && result.path; node; node = node.next) {
+        solution.push(...node.choice.actions, [ReplayAction.END_TURN]);
+    }
+
+    return {
+        solvable: result !== null,
+        maxTurns: options.maxTurns,
+        shortestTurns: result ? result.turns : null,
+        fewestBombs: result ? result.bombs : null,
+        solutionCount: result ? result.count : 0,
+        solutionsByTurns: result ? Array.from(result.byTurns, count => count || 0) : [],
+        solution,
+        statesExplored
+    };
+}
+
+// List up to limit winning sequences of the shortest length, as readable strings
+function listShortestSolutions(levelData, report, limit, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const found = [];
+
+    const walk = (state, turnsLeft, prefix) => {
+        if (found.length >= limit) return;
+        if (state.gameState === GameState.WON) {
+            found.push(prefix.join('  '));
+            return;
+        }
+        if (state.gameState === GameState.LOST || turnsLeft === 0) return;
+
+        for (const turn of expandTurn(state, options)) {
+            walk(endTurn(turn.state).state, turnsLeft - 1, [...prefix, describeTurn(turn.choice.actions)]);
+            if (found.length >= limit) return;
+        }
+    };
+
+    walk(createState(levelData), report.shortestTurns, []);
+    return found;
+}
+
+function describeTurn(actions) {
+    if (actions.length === 0) return '[wait]';
+    const verbs = { [ReplayAction.PLACE]: 'bomb', [ReplayAction.NOISE]: 'noise', [ReplayAction.CYCLE]: 'cycle', [ReplayAction.ROTATE]: 'turn' };
+    return '[' + actions.map(([code, x, y, kind, direction]) => {
+        const verb = kind ? kind : verbs[code];
+        const facing = kind === BombKind.SHAPED ? ` ${'NESW'[direction]}` : '';
+        return `${verb} ${x},${y}${facing}`;
+    }).join(', ') + ']';
+}
+
+function parseArgs(argv) {
+    const args = { file: null, options: {}, list: 0, replay: null };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--max-turns':
+                args.options.maxTurns = parseInt(argv[++i]);
+                break;
+            case '--no-retime':
+                args.options.retime = false;
+                break;
+            case '--list':
+                args.list = parseInt(argv[++i]);
+                break;
+            case '--replay':
+                args.replay = argv[++i];
+                break;
+            default:
+                args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('Usage: node tools/solver.js <level.json> [--max-turns N] [--no-retime] [--list N] [--replay out.json]');
+        process.exit(2);
+    }
+
+    const levelData = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    const report = solveLevel(levelData, args.options);
+
+    console.log(`Level: ${levelData.name} (${levelData.id})`);
+    console.log(`Turn cap: ${report.maxTurns}, states explored: ${report.statesExplored}`);
+    if (!report.solvable) {
+        console.log('Not solvable within the turn cap');
+        process.exit(1);
+    }
+
+    console.log(`Shortest solution: ${report.shortestTurns} turn(s), ${report.fewestBombs} bomb(s)`);
+    console.log(`Distinct solutions within cap: ${report.solutionCount}`);
+    report.solutionsByTurns.forEach((count, turns) => {
+        if (count > 0) console.log(`  winning in ${turns} turn(s): ${count}`);
+    });
+
+    if (args.list > 0) {
+        console.log(`Shortest solutions (up to ${args.list}):`);
+        for (const line of listShortestSolutions(levelData, report, args.list, args.options)) {
+            console.log(`  ${line}`);
+        }
+    }
+
+    if (args.replay) {
+        const replay = createReplay(levelData);
+        replay.actions = report.solution;
+        fs.writeFileSync(args.replay, JSON.stringify(replay));
+        console.log(`Wrote shortest solution replay to ${path.resolve(args.replay)}`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { solveLevel, listShortestSolutions, stateKey };